@@ -0,0 +1,998 @@
+#!/usr/bin/env node
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/*******************************************************************************
+ *
+ * A tool used to **recursively** check the ECMAScript compatibility of a
+ * JavaScript package and all its dependencies.
+ *
+ * Author: Haixing Hu
+ * URL: https://github.com/Haixing-Hu/check-es-version
+ *
+ *******************************************************************************/
+const { resolve, relative, dirname, join } = require('path');
+const fs = require('fs');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { normalizeEsVersion } = require('./src/parser');
+const { DEFAULT_CONDITIONS } = require('./src/entries');
+const { countViolationsByFeature, formatEsVersion, formatFeature } = require('./src/features');
+const { formatApiUsage } = require('./src/apis');
+const { toPosixPath } = require('./src/files');
+const { collectOriginPackages } = require('./src/sourcemaps');
+const {
+  FAIL_ON_CATEGORIES,
+  EXIT_CODE_CANNOT_OPEN,
+  SUMMARY_KEYS,
+  isValidEsVersion,
+  createContext,
+  checkScript,
+  checkEsCompatible,
+  checkWorkspaces,
+  checkLockfile,
+  checkTarball,
+  prefetchPackages,
+  prefetchLockfile,
+  prefetchDirectory,
+  checkDirectoryFiles,
+  findStaleBaselineEntries,
+  getDependencyPaths,
+  findPackageLabels,
+  getExitCode,
+} = require('./src/checker');
+const { MAX_DEPENDENCY_PATHS } = require('./src/dependents');
+const { CONFIG_FILES, PACKAGE_CONFIG_KEY, loadConfig } = require('./src/config');
+const { loadIgnoreFile } = require('./src/ignore');
+const { writeBaseline } = require('./src/baseline');
+const { findPnpApi, findPackagePath } = require('./src/resolver');
+const { findWorkspaces } = require('./src/workspaces');
+const { REPORT_FORMATS, createReport, writeReport } = require('./src/report');
+const QUESTION_SYMBOL = '❓';
+const VALID_SYMBOL = '✅';
+const MODULE_SYMBOL = '📦';
+const INVALID_SYMBOL = '❌';
+const IGNORED_SYMBOL = '➖';
+const BASELINE_SYMBOL = '☑️';
+const INDENT_SPACE = '  ';
+const HISTOGRAM_SYMBOL = '█';
+const HISTOGRAM_WIDTH = 40;
+const EXIT_CODE_USAGE_ERROR = 3;
+
+// Gets the description of what is checked, e.g., "ES5 compatible", or
+// "compatible with the targets "safari 10, chrome 49"".
+function formatCompatibility(options) {
+  if (options.targets) {
+    return `compatible with the targets "${options.targets.query}"`;
+  }
+  return `ES${options.esVersion} compatible`;
+}
+
+function outputCompatible(packageName, options, indent) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  console.info(`${indentSpace}${VALID_SYMBOL} ${packageName} is ${formatCompatibility(options)}.`);
+}
+
+function formatFailure(failure) {
+  const messages = [];
+  if (failure.error) {
+    messages.push(failure.feature
+      ? `${failure.error.message} [${formatFeature(failure.feature)}]`
+      : failure.error.message);
+  }
+  if (failure.apis && failure.apis.length > 0) {
+    messages.push(`uses runtime APIs: ${failure.apis.map(formatApiUsage).join(', ')}`);
+  }
+  const message = messages.join('; ') + (failure.baselined ? ' (in the baseline)' : '');
+  return (failure.location ? `${failure.location}: ${message}` : message);
+}
+
+function plural(count, word, words = `${word}s`) {
+  return `${count} ${count === 1 ? word : words}`;
+}
+
+// Gets all violations of a failed file, including the usages of runtime APIs,
+// which are reported as violations of the APIs.
+function getViolations(failure) {
+  const apis = (failure.apis || []).map(({ api, line, column }) => ({ feature: api, line, column }));
+  return (failure.violations || []).concat(apis).sort((x, y) => (x.line - y.line) || (x.column - y.column));
+}
+
+function outputViolations(packageName, options, indent, failures) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  const violations = [].concat(...failures.map(getViolations));
+  console.error(`${indentSpace}${INVALID_SYMBOL} ${packageName} is NOT ${formatCompatibility(options)}: `
+    + `${plural(violations.length, 'violation')} in ${plural(failures.length, 'file')}.`);
+  if (!options.showError) {
+    return;
+  }
+  failures.forEach((failure) => {
+    const fileViolations = getViolations(failure);
+    // a target file is shown with its label, instead of its absolute path
+    console.error(`${indentSpace}${INDENT_SPACE}- ${failure.location || packageName}: `
+      + `${plural(fileViolations.length, 'violation')}`);
+    fileViolations.forEach((violation) => {
+      console.error(`${indentSpace}${INDENT_SPACE.repeat(2)}${violation.line}:${violation.column} `
+        + `${formatFeature(violation.feature)}`);
+    });
+  });
+  console.error(`${indentSpace}${INDENT_SPACE}- violations by feature:`);
+  countViolationsByFeature(violations).forEach(({ feature, count }) => {
+    console.error(`${indentSpace}${INDENT_SPACE.repeat(2)}${formatFeature(feature)}: ${count}`);
+  });
+}
+
+function outputOrigins(failures, indentSpace) {
+  failures.filter((failure) => failure.origins && failure.origins.length > 0).forEach((failure) => {
+    console.error(`${indentSpace}${INDENT_SPACE}- original sources${failures.length > 1 ? ` of ${failure.location || failure.file}` : ''}:`);
+    failure.origins.forEach((origin) => {
+      console.error(`${indentSpace}${INDENT_SPACE.repeat(2)}${origin.line}:${origin.column} `
+        + `${origin.source}:${origin.originalLine}:${origin.originalColumn}`
+        + `${origin.package ? ` (${origin.package})` : ''}`);
+    });
+  });
+}
+
+function outputIncompatible(packageName, options, indent, failures) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  if (options.allViolations && failures && failures.length > 0) {
+    outputViolations(packageName, options, indent, failures);
+  } else if (options.showError && failures && failures.length === 1) {
+    console.error(`${indentSpace}${INVALID_SYMBOL} ${packageName} is NOT ${formatCompatibility(options)}:`, formatFailure(failures[0]));
+  } else if (options.showError && failures && failures.length > 1) {
+    console.error(`${indentSpace}${INVALID_SYMBOL} ${packageName} is NOT ${formatCompatibility(options)}:`);
+    failures.forEach((failure) => {
+      console.error(`${indentSpace}${INDENT_SPACE}-`, formatFailure(failure));
+    });
+  } else {
+    console.error(`${indentSpace}${INVALID_SYMBOL} ${packageName} is NOT ${formatCompatibility(options)}.`);
+  }
+  if (options.showError && failures) {
+    outputOrigins(failures, indentSpace);
+  }
+}
+
+function outputEsm(packageName, options, indent) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  console.info(`${indentSpace}${MODULE_SYMBOL} ${packageName} uses the ESM syntax (import/export), `
+    + `which must be transformed by a bundler to be ${formatCompatibility(options)}.`);
+}
+
+function outputCannotOpen(packageName, indent, missing = false) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  if (missing) {
+    console.error(`${indentSpace}${QUESTION_SYMBOL} ${packageName} is locked by the lockfile but not installed.`);
+  } else {
+    console.error(`${indentSpace}${QUESTION_SYMBOL} ${packageName} has no main script file. `);
+  }
+}
+
+function outputNonJs(packageName, indent) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  console.info(`${indentSpace}${VALID_SYMBOL} ${packageName} is not a JavaScript library, ignore it.`);
+}
+
+function outputIgnored(packageName, indent) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  console.info(`${indentSpace}${IGNORED_SYMBOL} ${packageName} is ignored.`);
+}
+
+function outputBaselined(packageName, options, indent) {
+  const indentSpace = INDENT_SPACE.repeat(indent);
+  console.info(`${indentSpace}${BASELINE_SYMBOL} ${packageName} is NOT ${formatCompatibility(options)}, `
+    + 'but its failures are accepted by the baseline.');
+}
+
+// Gets the options a package is checked with, which may be overridden by the
+// configuration.
+function getRecordOptions(record, options) {
+  return (record && record.override ? { ...options, ...record.override } : options);
+}
+
+// Outputs the result of a package or a target file when it is checked, if the
+// dependency tree is shown. The failures of a package are not repeated when it
+// is reached again from another package.
+function outputResult({ name, record, depth, cached }, options) {
+  if (!options.showDependencyTree) {
+    return;
+  }
+  const recordOptions = getRecordOptions(record, options);
+  if (record.baselined) {
+    outputBaselined(name, recordOptions, depth);
+    return;
+  }
+  switch (record.status) {
+    case 'ignored':
+      outputIgnored(name, depth);
+      break;
+    case 'non-js':
+      outputNonJs(name, depth);
+      break;
+    case 'cannot-open':
+      outputCannotOpen(name, depth, record.missing);
+      break;
+    case 'esm':
+      outputEsm(name, recordOptions, depth);
+      break;
+    case 'compatible':
+      outputCompatible(name, recordOptions, depth);
+      break;
+    default:
+      outputIncompatible(name, recordOptions, depth, (cached ? undefined : record.failures));
+      break;
+  }
+}
+
+function formatDependencyPath(path) {
+  return path.map((step) => (step.peer ? `${step.name} (peer)` : step.name)).join(' > ');
+}
+
+// Outputs the paths from the root packages, or from a root package, to a
+// package, through which the package is pulled into the dependency tree,
+// either as a list, or under a header among the details of the failures of
+// the package.
+function outputDependencyPaths(label, options, indent, output = console.info, header = false, root = null) {
+  const found = getDependencyPaths(label, options, root);
+  const paths = (found ? found.paths.filter((path) => path.length > 1) : []);
+  if (paths.length === 0) {
+    return;
+  }
+  let indentSpace = INDENT_SPACE.repeat(indent);
+  let bullet = '- ';
+  if (header) {
+    output(`${indentSpace}- dependency paths:`);
+    indentSpace += INDENT_SPACE;
+    bullet = '';
+  }
+  paths.forEach((path) => {
+    output(`${indentSpace}${bullet}${formatDependencyPath(path)}`);
+  });
+  if (found.truncated) {
+    output(`${indentSpace}${bullet}... (only the first ${MAX_DEPENDENCY_PATHS} paths are shown)`);
+  }
+}
+
+function outputSummary(options) {
+  console.info('All compatible packages are: ');
+  options.compatible.forEach((pkg) => {
+    outputCompatible(pkg, getRecordOptions(options.results.get(pkg), options), 1);
+  });
+  if (options.esm.size > 0) {
+    console.info('All packages using the ESM syntax are: ');
+    options.esm.forEach((pkg) => {
+      outputEsm(pkg, getRecordOptions(options.results.get(pkg), options), 1);
+    });
+  }
+  if (options.nonJs.size > 0) {
+    console.info('All non-JavaScript packages are: ');
+    options.nonJs.forEach((pkg) => {
+      outputNonJs(pkg, 1);
+    });
+  }
+  if (options.incompatible.size === 0) {
+    console.info('No incompatible packages.');
+  } else {
+    console.info('All incompatible packages are: ');
+    options.incompatible.forEach((pkg) => {
+      const record = options.results.get(pkg);
+      outputIncompatible(pkg, getRecordOptions(record, options), 1, record.failures);
+      if (options.showError) {
+        outputDependencyPaths(pkg, options, 2, console.error, true);
+      }
+    });
+  }
+  if (options.canNotOpen.size > 0) {
+    console.info('The following packages have no main script or cannot be read:')
+    options.canNotOpen.forEach((pkg) => {
+      outputCannotOpen(pkg, 1, Boolean(options.results.has(pkg) && options.results.get(pkg).missing));
+    });
+  }
+  if (options.baselined.size > 0) {
+    console.info('The following incompatible packages are accepted by the baseline:');
+    options.baselined.forEach((pkg) => {
+      outputBaselined(pkg, getRecordOptions(options.results.get(pkg), options), 1);
+    });
+  }
+  if (options.ignored.size > 0) {
+    console.info('The following packages are ignored:');
+    options.ignored.forEach((pkg) => {
+      outputIgnored(pkg, 1);
+    });
+  }
+}
+
+/**
+ * Groups the packages or target files by the minimum ECMAScript versions they
+ * require, in the ascending order of the versions.
+ *
+ * Returns an array of `{ version, names }`, where `version` is `null` for the
+ * packages whose versions are unknown.
+ */
+function groupByRequiredVersion(options) {
+  const groups = new Map();
+  options.results.forEach((record, name) => {
+    if (record.status === 'cannot-open' || record.status === 'non-js') {
+      return;
+    }
+    const version = record.requiredEsVersion;
+    if (!groups.has(version)) {
+      groups.set(version, []);
+    }
+    groups.get(version).push(name);
+  });
+  return Array.from(groups.keys())
+    .sort((x, y) => (x === null ? 1 : (y === null ? -1 : x - y)))
+    .map((version) => ({ version, names: groups.get(version) }));
+}
+
+function outputDetection(options) {
+  const groups = groupByRequiredVersion(options);
+  const maxCount = Math.max(...groups.map((group) => group.names.length));
+  const width = Math.max(...groups.map((group) => formatVersionName(group.version).length));
+  console.info('Minimum ECMAScript versions required: ');
+  groups.forEach((group) => {
+    const bar = HISTOGRAM_SYMBOL.repeat(Math.ceil((group.names.length * HISTOGRAM_WIDTH) / maxCount));
+    console.info(`${INDENT_SPACE}${formatVersionName(group.version).padEnd(width)} ${bar} ${group.names.length}`);
+  });
+  const blocking = groups.filter((group) => group.version === null || group.version > normalizeEsVersion(options.esVersion));
+  if (blocking.length > 0) {
+    console.info(`The following packages require versions newer than ES${options.esVersion}: `);
+    blocking.reverse().forEach((group) => {
+      group.names.forEach((name) => {
+        console.info(`${INDENT_SPACE}${INVALID_SYMBOL} ${name} requires ${formatVersionName(group.version)}.`);
+      });
+    });
+  }
+}
+
+function formatVersionName(version) {
+  return (version === null ? 'unknown' : formatEsVersion(version));
+}
+
+function formatCounts(summary) {
+  return Object.keys(SUMMARY_KEYS)
+    .filter((status) => summary[SUMMARY_KEYS[status]] > 0)
+    .map((status) => `${summary[SUMMARY_KEYS[status]]} ${status}`)
+    .join(', ');
+}
+
+function outputDirectories(options, exitCode) {
+  console.info('Summary of the directories: ');
+  options.directories.forEach((summary) => {
+    const symbol = (summary.passed ? VALID_SYMBOL : INVALID_SYMBOL);
+    const path = toPosixPath(join(options.targetDir, summary.path));
+    console.info(`${INDENT_SPACE}${symbol} ${path}: ${plural(summary.files, 'file')}, ${formatCounts(summary)}.`);
+  });
+  if (options.unreadableDirectories.length > 0) {
+    console.error('The following directories cannot be read: ');
+    options.unreadableDirectories.forEach((path) => {
+      console.error(`${INDENT_SPACE}${QUESTION_SYMBOL} ${toPosixPath(path)}`);
+    });
+  }
+  const total = { files: options.results.size };
+  Object.values(SUMMARY_KEYS).forEach((key) => {
+    total[key] = options.directories.reduce((count, summary) => count + summary[key], 0);
+  });
+  console.info(`Checked ${plural(total.files, 'file')} in ${plural(options.directories.length, 'directory', 'directories')}`
+    + `${total.files > 0 ? `: ${formatCounts(total)}` : ''}.`);
+  if (exitCode === 0) {
+    console.info(`${VALID_SYMBOL} PASSED.`);
+  } else {
+    console.error(`${INVALID_SYMBOL} FAILED.`);
+  }
+}
+
+// Outputs the results grouped by the workspace packages, with the incompatible
+// packages in the dependency tree of each workspace and the paths to them.
+function outputWorkspaces(options, exitCode) {
+  console.info('Summary of the workspaces: ');
+  options.workspaces.forEach((summary) => {
+    const symbol = (summary.passed ? VALID_SYMBOL : INVALID_SYMBOL);
+    console.info(`${INDENT_SPACE}${symbol} ${summary.name} (${summary.path}): `
+      + `${plural(summary.packages.length, 'package')}, ${formatCounts(summary)}.`);
+    summary.packages.filter((label) => options.incompatible.has(label)).forEach((label) => {
+      const record = options.results.get(label);
+      outputIncompatible(label, getRecordOptions(record, options), 2, undefined);
+      if (options.showError) {
+        outputDependencyPaths(label, options, 3, console.error, true, summary.name);
+      }
+    });
+  });
+  console.info(`Checked ${plural(options.results.size, 'package')} in `
+    + `${plural(options.workspaces.length, 'workspace')}.`);
+  if (exitCode === 0) {
+    console.info(`${VALID_SYMBOL} PASSED.`);
+  } else {
+    console.error(`${INVALID_SYMBOL} FAILED.`);
+  }
+}
+
+// Outputs the files packed in the tarball, and the entry points whose files
+// are not packed.
+function outputTarball(options) {
+  const { tarball } = options;
+  console.info(`Checked the package ${tarball.name} packed in the tarball ${toPosixPath(relative('.', tarball.path))}, `
+    + `which contains ${plural(tarball.files.length, 'file')}.`);
+  if (tarball.missingEntries.length > 0) {
+    console.error('The following entry points are not packed in the tarball:');
+    tarball.missingEntries.forEach((entry) => {
+      console.error(`${INDENT_SPACE}${QUESTION_SYMBOL} ${entry}`);
+    });
+  }
+}
+
+// Outputs the packages added and removed by the lockfile, compared with the
+// other lockfile.
+function outputLockfile(options) {
+  const { lockfile } = options;
+  console.info(`Checked ${plural(lockfile.packages.length, 'package')} locked by the ${lockfile.type} lockfile `
+    + `${toPosixPath(relative('.', lockfile.path))}, of which ${lockfile.missing.length} `
+    + `${lockfile.missing.length === 1 ? 'is' : 'are'} not installed.`);
+  const { comparison } = lockfile;
+  if (!comparison) {
+    return;
+  }
+  console.info(`Compared with the ${comparison.type} lockfile ${toPosixPath(relative('.', comparison.path))}: `
+    + `${plural(comparison.added.length, 'package')} added, ${comparison.removed.length} removed.`);
+  if (comparison.added.length > 0) {
+    console.info(`${INDENT_SPACE}Added packages:`);
+    const treeOptions = { ...options, showDependencyTree: true };
+    comparison.added.forEach((label) => {
+      outputResult({ name: label, record: getPackageRecord(label, options), depth: 2, cached: true }, treeOptions);
+    });
+  }
+  if (comparison.removed.length > 0) {
+    console.info(`${INDENT_SPACE}Removed packages:`);
+    comparison.removed.forEach((label) => {
+      console.info(`${INDENT_SPACE.repeat(2)}- ${label}`);
+    });
+  }
+}
+
+// Outputs the packages the violations in the bundles are originated from.
+function outputOriginPackages(options) {
+  const packages = collectOriginPackages(Array.from(options.results.values()));
+  if (packages.length > 0) {
+    console.info('The violations come from the following packages, which should be added to the '
+      + '"transpileDependencies" of the bundler: ');
+    packages.forEach(({ name, count }) => {
+      console.info(`${INDENT_SPACE}${MODULE_SYMBOL} ${name} (${plural(count, 'violation')})`);
+    });
+  }
+}
+
+// Outputs the entries of the baseline which no longer apply.
+function outputStaleBaseline(options) {
+  const entries = findStaleBaselineEntries(options);
+  if (entries.length > 0) {
+    console.info('The following entries of the baseline no longer apply, and could be removed: ');
+    entries.forEach((entry) => {
+      const location = (entry.package ? `${entry.package}: ${entry.file}` : entry.file);
+      console.info(`${INDENT_SPACE}- ${location} [${entry.features.join(', ')}]`);
+    });
+  }
+}
+
+// Outputs the violations suppressed by the comments in the target files, so
+// that the suppressions could be audited.
+function outputSuppressed(options) {
+  const files = Array.from(options.results.entries())
+    .filter(([, record]) => record.type === 'file' && record.suppressed && record.suppressed.length > 0);
+  if (files.length > 0) {
+    console.info('The following violations are suppressed by comments: ');
+    files.forEach(([name, record]) => {
+      record.suppressed.forEach((violation) => {
+        const scope = (violation.type === 'file' ? ' for the whole file' : '');
+        const reason = (violation.reason ? `: ${violation.reason}` : ' without a reason');
+        console.info(`${INDENT_SPACE}- ${name}:${violation.line}:${violation.column} [${formatFeature(violation)}] `
+          + `by the comment at line ${violation.commentLine}${scope}${reason}`);
+      });
+    });
+  }
+}
+
+/**
+ * Outputs the report of the results in the format specified by the `--format`
+ * argument, and sets the exit code of the program.
+ */
+function outputReport(options, showSummary) {
+  const exitCode = getExitCode(options);
+  if (options.writeBaseline) {
+    const baseline = writeBaseline(options.writeBaseline, options.results);
+    if (options.format === 'text') {
+      console.info(`Wrote ${plural(baseline.entries.length, 'entry', 'entries')} to the baseline ${options.writeBaseline}.`);
+    }
+  }
+  if (options.format === 'json') {
+    writeReport(createReport(options, exitCode), options.output);
+  } else {
+    if (showSummary) {
+      outputSummary(options);
+    }
+    if (options.detect) {
+      outputDetection(options);
+    }
+    if (options.directories) {
+      outputDirectories(options, exitCode);
+    }
+    if (options.workspaces) {
+      outputWorkspaces(options, exitCode);
+    }
+    if (options.lockfile) {
+      outputLockfile(options);
+    }
+    if (options.tarball) {
+      outputTarball(options);
+    }
+    outputOriginPackages(options);
+    outputStaleBaseline(options);
+    outputSuppressed(options);
+  }
+  process.exitCode = exitCode;
+}
+
+// Gets the record of a package, where the ignored packages are not in the
+// results.
+function getPackageRecord(label, options) {
+  return options.results.get(label) || { type: 'package', status: 'ignored', failures: [] };
+}
+
+/**
+ * Outputs the result of the why command, i.e., the results of the packages of
+ * a name in the dependency tree, and the paths from the root package to them.
+ */
+function outputWhy(name, options) {
+  const labels = findPackageLabels(name, options);
+  if (options.format === 'json') {
+    writeReport({
+      package: name,
+      roots: options.rootPackages,
+      packages: labels.map((label) => {
+        const record = getPackageRecord(label, options);
+        const found = getDependencyPaths(label, options);
+        return {
+          label,
+          name: record.name || null,
+          version: record.version || null,
+          status: record.status,
+          dependencyPaths: found.paths,
+          truncated: found.truncated,
+        };
+      }),
+    }, options.output);
+  } else if (labels.length === 0) {
+    console.error(`The package ${name} is not in the dependency tree of ${options.rootPackages.join(', ')}.`);
+  } else {
+    labels.forEach((label) => {
+      const record = getPackageRecord(label, options);
+      outputResult({ name: label, record, depth: 0, cached: false }, { ...options, showDependencyTree: true });
+      if (options.rootPackages.includes(label)) {
+        console.info(`${INDENT_SPACE}- it is a root package`);
+      } else {
+        outputDependencyPaths(label, options, 1);
+      }
+    });
+  }
+  process.exitCode = (labels.length > 0 ? 0 : EXIT_CODE_CANNOT_OPEN);
+}
+
+function parseList(value) {
+  return value.split(',').map((item) => item.trim()).filter((item) => item);
+}
+
+// Converts the options loaded from the configuration to the values of the
+// command line arguments, e.g., `true` to "true", and `["node", "require"]` to
+// "node,require". The ignore list and the overrides are not arguments.
+function toArguments(options) {
+  const args = {};
+  Object.keys(options)
+    .filter((key) => key !== 'ignore' && key !== 'overrides')
+    .forEach((key) => {
+      const value = options[key];
+      if (typeof value === 'boolean') {
+        args[key] = String(value);
+      } else if (Array.isArray(value) && key !== 'targetGlob') {
+        args[key] = value.join(',');
+      } else {
+        args[key] = value;
+      }
+    });
+  return args;
+}
+
+// The configuration file and the profile are parsed before the other
+// arguments, whose defaults are taken from the configuration.
+const configArgs = yargs(hideBin(process.argv))
+  .option('config', { alias: 'k', type: String })
+  .option('profile', { alias: 'P', type: String })
+  .help(false)
+  .version(false)
+  .parse();
+let config;
+try {
+  config = loadConfig('.', configArgs.config || null, configArgs.profile || null);
+} catch (error) {
+  console.error(error.message);
+  process.exit(EXIT_CODE_USAGE_ERROR);
+}
+
+const args = yargs(hideBin(process.argv))
+  .command('$0', 'Check the ECMAScript compatibility of the package and its dependencies, or the target files.')
+  .command('why <package>', 'Show the paths from the root package to the installed packages of the name '
+    + '(or of the "name@version"), through which they are pulled into the dependency tree.')
+  .option('es-version', {
+    alias: 'e',
+    description: 'The ECMAScript version to check',
+    type: Number,
+    default: 5,
+  })
+  .option('targets', {
+    alias: 'T',
+    description: 'The browserslist query of the target environments to check, e.g., "safari 10, chrome 49", instead of the ECMAScript version.',
+    type: String,
+    default: '',
+  })
+  .option('browserslist', {
+    alias: 'B',
+    description: 'Whether to check the target environments specified by the browserslist config of the project, instead of the ECMAScript version.',
+    type: String,
+    default: 'false',
+  })
+  .option('package-name', {
+    alias: 'p',
+    description: 'The name of the package to check, or "." to check the current package.',
+    type: String,
+    default: '.',
+  })
+  .option('require-resolve-path', {
+    alias: 'r',
+    description: 'The resolve path for dependent packages.',
+    type: String,
+    default: '.',
+  })
+  .option('show-dependency-tree', {
+    alias: 't',
+    description: 'Whether to show the dependency tree.',
+    type: String,
+    default: 'false',
+  })
+  .option('show-error', {
+    alias: 's',
+    description: 'Whether to show the detailed errors.',
+    type: String,
+    default: 'false',
+  })
+  .option('check-peer-dependency', {
+    alias: 'c',
+    description: 'Whether to check the peer dependency.',
+    type: String,
+    default: 'false',
+  })
+  .option('full-traversal', {
+    alias: 'a',
+    description: 'Whether to check the dependencies of all packages, or only the dependencies of the packages failed to check.',
+    type: String,
+    default: 'true',
+  })
+  .option('all-violations', {
+    alias: 'A',
+    description: 'Whether to find all violations in each incompatible file, instead of only the first parsing error.',
+    type: String,
+    default: 'false',
+  })
+  .option('check-apis', {
+    alias: 'R',
+    description: 'Whether to check the usages of runtime APIs (built-in objects and methods) newer than the ECMAScript version.',
+    type: String,
+    default: 'false',
+  })
+  .option('detect', {
+    alias: 'D',
+    description: 'Whether to detect the minimum ECMAScript version required by each package.',
+    type: String,
+    default: 'false',
+  })
+  .option('conditions', {
+    alias: 'C',
+    description: 'The comma separated list of conditions used to resolve the entry points of packages.',
+    type: String,
+    default: DEFAULT_CONDITIONS.join(','),
+  })
+  .option('fail-on', {
+    alias: 'F',
+    description: `The comma separated list of result categories failing the check, which could be: ${FAIL_ON_CATEGORIES.join(', ')}.`,
+    type: String,
+    default: 'incompatible',
+  })
+  .option('format', {
+    alias: 'm',
+    description: 'The format of the report.',
+    type: String,
+    choices: REPORT_FORMATS,
+    default: 'text',
+  })
+  .option('output', {
+    alias: 'O',
+    description: 'The file to write the JSON report to, instead of the standard output.',
+    type: String,
+    default: '',
+  })
+  .option('target-file', {
+    alias: 'f',
+    description: 'Check the specified target file.',
+    type: String,
+    default: '',
+  })
+  .option('target-dir', {
+    alias: 'd',
+    description: 'Check all JavaScript files in the target directory and its subdirectories.',
+    type: String,
+    default: '',
+  })
+  .option('source-map', {
+    alias: 'M',
+    description: 'Whether to map the violations in the target files back to their original sources and packages with the source maps.',
+    type: String,
+    default: 'true',
+  })
+  .option('target-glob', {
+    alias: 'g',
+    description: 'The glob pattern of the files to check in the target directory (or the current directory), '
+      + 'e.g., "dist/**/*.{js,mjs}", or the pattern of the files to exclude if it starts with "!", '
+      + 'e.g., "!**/*.min.js". It could be specified multiple times.',
+    type: String,
+    default: '',
+  })
+  .option('workspaces', {
+    alias: 'w',
+    description: 'Whether to check all workspace packages of the project, specified by the "workspaces" field '
+      + 'of the package.json or the pnpm-workspace.yaml file, instead of the package itself.',
+    type: String,
+    default: 'false',
+  })
+  .option('lockfile', {
+    alias: 'l',
+    description: 'Check all packages locked by the lockfile, i.e., the package-lock.json, yarn.lock or '
+      + 'pnpm-lock.yaml file, instead of following the dependencies of the package.',
+    type: String,
+    default: '',
+  })
+  .option('compare-lockfile', {
+    alias: 'L',
+    description: 'Compare the packages locked by the --lockfile with the ones locked by this lockfile, e.g., '
+      + 'the lockfile before an upgrade.',
+    type: String,
+    default: '',
+  })
+  .option('tarball', {
+    alias: 'z',
+    description: 'Check the package packed in the tarball, e.g., the .tgz file written by "npm pack", '
+      + 'instead of the installed package.',
+    type: String,
+    default: '',
+  })
+  .option('concurrency', {
+    alias: 'j',
+    description: 'The number of worker threads parsing the files in parallel. The files are parsed one by one '
+      + 'on the main thread if it is 1.',
+    type: Number,
+    default: 1,
+  })
+  .option('baseline', {
+    alias: 'b',
+    description: 'The baseline file written by --write-baseline. The failures recorded in the baseline are accepted, '
+      + 'and only the new failures fail the check.',
+    type: String,
+    default: '',
+  })
+  .option('write-baseline', {
+    alias: 'W',
+    description: 'Write the failures of the check to the baseline file.',
+    type: String,
+    default: '',
+  })
+  .option('config', {
+    alias: 'k',
+    description: `The configuration file, instead of the ${CONFIG_FILES.join(' or ')} file, or the `
+      + `"${PACKAGE_CONFIG_KEY}" field of the package.json, found in the current directory or its ancestors.`,
+    type: String,
+    default: '',
+  })
+  .option('profile', {
+    alias: 'P',
+    description: 'The name of the profile in the configuration to use.',
+    type: String,
+    default: '',
+  })
+  .check((argv) => {
+    if (!isValidEsVersion(argv.esVersion)) {
+      throw new Error(`Invalid ECMAScript version: ${argv.esVersion}`);
+    }
+    const invalid = parseList(argv.failOn).filter((category) => !FAIL_ON_CATEGORIES.includes(category));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid categories of the --fail-on argument: ${invalid.join(', ')}`);
+    }
+    if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+      throw new Error(`Invalid concurrency: ${argv.concurrency}`);
+    }
+    if (argv.targets && argv.browserslist === 'true') {
+      throw new Error('The --targets and --browserslist arguments cannot be used together.');
+    }
+    if (argv.baseline && argv.writeBaseline) {
+      throw new Error('The --baseline and --write-baseline arguments cannot be used together.');
+    }
+    const hasTargetFiles = (argv.targetFile || argv.targetDir || [].concat(argv.targetGlob).some((pattern) => pattern));
+    if (argv.workspaces === 'true' && hasTargetFiles) {
+      throw new Error('The --workspaces argument cannot be used with the target files.');
+    }
+    if (argv.lockfile && (hasTargetFiles || argv.workspaces === 'true' || argv.package !== undefined)) {
+      throw new Error('The --lockfile argument cannot be used with the target files, --workspaces or the why command.');
+    }
+    if (argv.tarball && (hasTargetFiles || argv.workspaces === 'true' || argv.lockfile || argv.package !== undefined)) {
+      throw new Error('The --tarball argument cannot be used with the target files, --workspaces, --lockfile '
+        + 'or the why command.');
+    }
+    if (argv.compareLockfile && !argv.lockfile) {
+      throw new Error('The --compare-lockfile argument requires the --lockfile argument.');
+    }
+    if (argv.package !== undefined && hasTargetFiles) {
+      throw new Error('The why command cannot be used with the target files.');
+    }
+    if (argv.output && argv.format !== 'json') {
+      throw new Error('The --output argument requires the JSON format.');
+    }
+    return true;
+  })
+  .config(config ? toArguments(config.options) : {})
+  .strict()
+  .fail((message, error, parser) => {
+    console.error(parser.help());
+    console.error();
+    console.error(message || error.message);
+    process.exit(EXIT_CODE_USAGE_ERROR);
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+const requireResolvePath = args.requireResolvePath;
+const packageName = args.packageName;
+const pnpApi = findPnpApi(requireResolvePath);
+const packagePath = (packageName === '.'
+  ? '.'
+  : ((pnpApi && findPackagePath(packageName, requireResolvePath, pnpApi))
+    || resolve(requireResolvePath, `node_modules/${packageName}`)));
+const targetFile = args.targetFile;
+const targetGlobs = [].concat(args.targetGlob).filter((pattern) => pattern);
+const targetDir = args.targetDir || (targetGlobs.length > 0 ? '.' : '');
+const format = args.format;
+const whyPackage = (args._[0] === 'why' ? String(args.package) : null);
+// the results of the target files are always shown in the text format.
+const showDependencyTree = (format === 'text' && whyPackage === null
+  && (targetFile !== '' || targetDir !== '' || args.showDependencyTree === 'true'));
+let options;
+try {
+  options = createContext({
+    requireResolvePath,
+    esVersion: args.esVersion,
+    targets: args.targets || null,
+    browserslist: (args.browserslist === 'true'),
+    checkPeerDependency: (args.checkPeerDependency === 'true'),
+    // the why command finds all paths to the package in the dependency tree
+    fullTraversal: (whyPackage !== null || args.fullTraversal === 'true'),
+    allViolations: (args.allViolations === 'true'),
+    checkApis: (args.checkApis === 'true'),
+    sourceMap: (args.sourceMap === 'true'),
+    detect: (args.detect === 'true'),
+    conditions: parseList(args.conditions),
+    failOn: parseList(args.failOn),
+    concurrency: args.concurrency,
+    ignore: (config ? config.options.ignore : []).concat(loadIgnoreFile('.')),
+    baseline: args.baseline || null,
+    writeBaseline: args.writeBaseline,
+    overrides: (config ? config.options.overrides : {}),
+    onResult: (event) => outputResult(event, options),
+    showError: (args.showError === 'true'),
+    showDependencyTree,
+    format,
+    output: args.output,
+  }, targetDir || (targetFile ? dirname(targetFile) : packagePath));
+} catch (error) {
+  console.error(error.message);
+  process.exit(EXIT_CODE_USAGE_ERROR);
+}
+
+// console.info(args);
+
+// Checks the files in parallel before the check if --concurrency is greater
+// than 1. The check itself still outputs the results one by one in order.
+async function prefetch() {
+  if (options.concurrency <= 1 || targetFile || args.tarball) {
+    return;
+  }
+  if (targetDir) {
+    await prefetchDirectory(targetDir, targetGlobs, options);
+  } else if (args.lockfile) {
+    await prefetchLockfile(args.lockfile, options);
+  } else if (args.workspaces === 'true') {
+    await prefetchPackages(findWorkspaces(packagePath).map((workspace) => workspace.path), options);
+  } else if (fs.existsSync(resolve(packagePath, 'package.json'))) {
+    await prefetchPackages([packagePath], options);
+  }
+}
+
+function check() {
+  if (targetFile) {
+    checkScript(targetFile, targetFile, options, 0);
+    outputReport(options, false);
+  } else if (targetDir) {
+    if (options.showDependencyTree) {
+      console.info(`Checking all JavaScript files in ${targetDir} ...`);
+    }
+    try {
+      checkDirectoryFiles(targetDir, targetGlobs, options);
+    } catch (error) {
+      console.error(`Cannot open the directory ${targetDir}.`);
+      process.exit(EXIT_CODE_CANNOT_OPEN);
+    }
+    outputReport(options, false);
+  } else if (args.lockfile) {
+    try {
+      checkLockfile(args.lockfile, options, args.compareLockfile || null);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(EXIT_CODE_CANNOT_OPEN);
+    }
+    outputReport(options, true);
+  } else if (args.tarball) {
+    try {
+      checkTarball(args.tarball, options);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(EXIT_CODE_CANNOT_OPEN);
+    }
+    outputReport(options, true);
+  } else if (!fs.existsSync(resolve(packagePath, 'package.json'))) {
+    console.error(`Cannot find the package.json of the package ${packageName}.`);
+    process.exitCode = EXIT_CODE_CANNOT_OPEN;
+  } else if (args.workspaces === 'true') {
+    let count;
+    try {
+      count = checkWorkspaces(packagePath, options);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(EXIT_CODE_CANNOT_OPEN);
+    }
+    if (count === 0) {
+      console.error(`Cannot find any workspace package in ${resolve(packagePath)}.`);
+      process.exitCode = EXIT_CODE_CANNOT_OPEN;
+    } else if (whyPackage !== null) {
+      outputWhy(whyPackage, options);
+    } else {
+      outputReport(options, true);
+    }
+  } else if (whyPackage !== null) {
+    checkEsCompatible(packageName, packagePath, options, 0);
+    outputWhy(whyPackage, options);
+  } else {
+    checkEsCompatible(packageName, packagePath, options, 0);
+    outputReport(options, true);
+  }
+}
+
+prefetch().catch((error) => {
+  // the sequential check runs anyway and reports the same errors again, e.g.,
+  // the directory cannot be read, so they are only shown on demand here
+  if (options.showError) {
+    console.error(`Cannot check the files in parallel: ${error.message}`);
+  }
+}).then(check).catch((error) => {
+  console.error(error.message);
+  process.exitCode = EXIT_CODE_CANNOT_OPEN;
+});
@@ -0,0 +1,222 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const walk = require('acorn-walk');
+const { normalizeEsVersion } = require('./parser');
+const { GLOBALS, STATIC_MEMBERS, PROTOTYPE_METHODS } = require('./data/builtins');
+
+const COMPARISON_OPERATORS = ['==', '!=', '===', '!==', 'in', 'instanceof'];
+
+function collectPatternNames(pattern, names) {
+  if (!pattern) {
+    return;
+  }
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach((property) => {
+        collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names);
+      });
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach((element) => collectPatternNames(element, names));
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+    default:
+      break;
+  }
+}
+
+// Collects the names of globals which should not be reported in a file, i.e.,
+// the names declared anywhere in the file, e.g.,
+// `var Promise = require('es6-promise')`, since scopes are not analyzed, and
+// the names detected by `typeof`, e.g., `typeof globalThis !== 'undefined'`.
+function collectIgnoredNames(ast) {
+  const names = new Set();
+  walk.full(ast, (node) => {
+    switch (node.type) {
+      case 'VariableDeclarator':
+        collectPatternNames(node.id, names);
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        collectPatternNames(node.id, names);
+        node.params.forEach((param) => collectPatternNames(param, names));
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        collectPatternNames(node.id, names);
+        break;
+      case 'CatchClause':
+        collectPatternNames(node.param, names);
+        break;
+      case 'ImportSpecifier':
+      case 'ImportDefaultSpecifier':
+      case 'ImportNamespaceSpecifier':
+        names.add(node.local.name);
+        break;
+      case 'UnaryExpression':
+        if (node.operator === 'typeof' && node.argument.type === 'Identifier') {
+          names.add(node.argument.name);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+  return names;
+}
+
+// Tests whether a node is used to detect or define a built-in, e.g.,
+// `typeof Promise`, `if (Object.assign)`, `Object.assign || polyfill` or
+// `Array.prototype.includes = function () {...}`, which is not a usage.
+function isDetectionOrDefinition(node, parent) {
+  switch (parent.type) {
+    case 'UnaryExpression':
+      return (parent.operator === 'typeof' || parent.operator === '!');
+    case 'IfStatement':
+    case 'ConditionalExpression':
+      return (parent.test === node);
+    case 'LogicalExpression':
+      return (parent.left === node);
+    case 'AssignmentExpression':
+      return (parent.left === node);
+    case 'BinaryExpression':
+      return COMPARISON_OPERATORS.includes(parent.operator);
+    default:
+      return false;
+  }
+}
+
+function getPropertyName(node) {
+  if (node.type !== 'MemberExpression') {
+    return null;
+  }
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  if (node.computed && node.property.type === 'Literal' && typeof node.property.value === 'string') {
+    return node.property.value;
+  }
+  return null;
+}
+
+function isGlobalReference(node, ignoredNames) {
+  return node.type === 'Identifier' && !ignoredNames.has(node.name);
+}
+
+function detectMemberUsage(node, ignoredNames) {
+  const property = getPropertyName(node);
+  if (!property) {
+    return null;
+  }
+  const object = node.object;
+  if (isGlobalReference(object, ignoredNames)
+      && Object.prototype.hasOwnProperty.call(STATIC_MEMBERS, object.name)
+      && Object.prototype.hasOwnProperty.call(STATIC_MEMBERS[object.name], property)) {
+    return { name: `${object.name}.${property}`, version: STATIC_MEMBERS[object.name][property] };
+  }
+  if (getPropertyName(object) === 'prototype'
+      && isGlobalReference(object.object, ignoredNames)
+      && Object.prototype.hasOwnProperty.call(PROTOTYPE_METHODS, object.object.name)
+      && Object.prototype.hasOwnProperty.call(PROTOTYPE_METHODS[object.object.name], property)) {
+    const owner = object.object.name;
+    return { name: `${owner}.prototype.${property}`, version: PROTOTYPE_METHODS[owner][property] };
+  }
+  return null;
+}
+
+// Detects the usage of a prototype method by a method call, e.g.,
+// `str.padStart(2, '0')`. Since the type of the receiver is unknown, all
+// prototype methods of that name newer than the version are reported together.
+function detectMethodCall(node, ignoredNames, version) {
+  const callee = node.callee;
+  const method = getPropertyName(callee);
+  if (!method || callee.object.type === 'Super') {
+    return null;
+  }
+  if (isGlobalReference(callee.object, ignoredNames)
+      && Object.prototype.hasOwnProperty.call(STATIC_MEMBERS, callee.object.name)) {
+    return null;
+  }
+  if (getPropertyName(callee.object) === 'prototype') {
+    return null;
+  }
+  const candidates = Object.keys(PROTOTYPE_METHODS)
+    .filter((owner) => Object.prototype.hasOwnProperty.call(PROTOTYPE_METHODS[owner], method))
+    .filter((owner) => PROTOTYPE_METHODS[owner][method] > version);
+  if (candidates.length === 0) {
+    return null;
+  }
+  return {
+    name: candidates.map((owner) => `${owner}.prototype.${method}`).join(' / '),
+    version: Math.min(...candidates.map((owner) => PROTOTYPE_METHODS[owner][method])),
+  };
+}
+
+/**
+ * Finds the usages of the built-in globals, static methods and well-known
+ * prototype methods introduced after the specified ECMAScript version.
+ *
+ * @param ast
+ *     the AST parsed by acorn with the option `locations: true`.
+ * @param esVersion
+ *     the ECMAScript version.
+ * @return
+ *     the array of usages `{ api, line, column }`, where `api` is an object
+ *     `{ name, version }`, in the order of their positions.
+ */
+function findApiUsages(ast, esVersion) {
+  const version = normalizeEsVersion(esVersion);
+  const ignoredNames = collectIgnoredNames(ast);
+  const usages = [];
+  const add = (node, api) => {
+    if (api && api.version > version) {
+      usages.push({ api, line: node.loc.start.line, column: node.loc.start.column, pos: node.start });
+    }
+  };
+  walk.fullAncestor(ast, (node, state, ancestors, type) => {
+    const parent = ancestors[ancestors.length - 2] || {};
+    if (type === 'Identifier') {
+      if (!ignoredNames.has(node.name)
+          && Object.prototype.hasOwnProperty.call(GLOBALS, node.name)
+          && !isDetectionOrDefinition(node, parent)) {
+        add(node, { name: node.name, version: GLOBALS[node.name] });
+      }
+    } else if (node.type === 'MemberExpression') {
+      if (!isDetectionOrDefinition(node, parent)) {
+        add(node, detectMemberUsage(node, ignoredNames));
+      }
+    } else if (node.type === 'CallExpression') {
+      add(node.callee, detectMethodCall(node, ignoredNames, version));
+    }
+  });
+  return usages
+    .sort((x, y) => x.pos - y.pos)
+    .map(({ api, line, column }) => ({ api, line, column }));
+}
+
+/**
+ * Gets the display text of an API usage, e.g., "Promise (ES2015) at 3:4".
+ */
+function formatApiUsage(usage) {
+  return `${usage.api.name} (ES${usage.api.version}) at ${usage.line}:${usage.column}`;
+}
+
+module.exports = {
+  findApiUsages,
+  formatApiUsage,
+};
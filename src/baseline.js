@@ -0,0 +1,118 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve } = require('path');
+const fs = require('fs');
+
+const BASELINE_SCHEMA_VERSION = 1;
+const POSITION_PATTERN = /\s*\(\d+:\d+\)$/;
+
+// Gets the package and the file a failure is recorded with in the baseline,
+// where the package is `null` for the target files.
+function getFailureLocation(label, record, failure) {
+  if (record.type === 'package') {
+    return { package: record.name, file: failure.file };
+  }
+  return { package: null, file: label };
+}
+
+/**
+ * Gets the features of a failure recorded in the baseline, i.e., the name of
+ * the language feature causing the parsing error, or the error message without
+ * the position if the feature is unknown, the names of all other language
+ * features of the file violating the check, and the names of the runtime APIs,
+ * which do not change when the code is moved.
+ */
+function getFailureFeatures(failure) {
+  const features = [];
+  if (failure.feature && failure.feature.name) {
+    features.push(failure.feature.name);
+  } else if (failure.error) {
+    features.push(failure.error.message.replace(POSITION_PATTERN, ''));
+  }
+  (failure.features || []).forEach((name) => features.push(name));
+  (failure.apis || []).forEach(({ api }) => features.push(api.name));
+  return Array.from(new Set(features)).sort();
+}
+
+/**
+ * Creates the baseline from the results, which records the failures of all
+ * incompatible packages and files.
+ *
+ * @return
+ *     an object `{ schemaVersion, entries }`, where `entries` is the array of
+ *     `{ package, file, features }`.
+ */
+function createBaseline(results) {
+  const entries = [];
+  results.forEach((record, label) => {
+    if (record.status === 'incompatible') {
+      record.failures.forEach((failure) => {
+        entries.push({ ...getFailureLocation(label, record, failure), features: getFailureFeatures(failure) });
+      });
+    }
+  });
+  return { schemaVersion: BASELINE_SCHEMA_VERSION, entries };
+}
+
+function writeBaseline(path, results) {
+  const baseline = createBaseline(results);
+  fs.writeFileSync(path, `${JSON.stringify(baseline, null, 2)}\n`, 'utf8');
+  return baseline;
+}
+
+/**
+ * Reads the baseline written by `writeBaseline()`.
+ *
+ * @return
+ *     an object `{ path, entries }`.
+ * @throws Error
+ *     if the baseline cannot be read or is invalid.
+ */
+function readBaseline(path) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read the baseline ${path}: ${error.message}`);
+  }
+  if (!baseline || baseline.schemaVersion !== BASELINE_SCHEMA_VERSION || !Array.isArray(baseline.entries)) {
+    throw new Error(`Invalid baseline ${path}.`);
+  }
+  return { path: resolve(path), entries: baseline.entries };
+}
+
+/**
+ * Matches a failure against the baseline. The failure is accepted by an entry
+ * of the same package and file which has all features of the failure; a
+ * failure using a feature not in the baseline is a new failure.
+ *
+ * @return
+ *     an object `{ accepted, indexes }`, where `indexes` is the array of the
+ *     indexes of the entries of the same package and file, which still apply
+ *     even if the failure is not accepted.
+ */
+function matchBaseline(baseline, label, record, failure) {
+  const location = getFailureLocation(label, record, failure);
+  const features = getFailureFeatures(failure);
+  const indexes = [];
+  let accepted = false;
+  baseline.entries.forEach((entry, index) => {
+    if (entry.package === location.package && entry.file === location.file) {
+      indexes.push(index);
+      accepted = accepted || features.every((feature) => entry.features.includes(feature));
+    }
+  });
+  return { accepted, indexes };
+}
+
+module.exports = {
+  writeBaseline,
+  readBaseline,
+  matchBaseline,
+};
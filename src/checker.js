@@ -0,0 +1,1253 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, relative, dirname, basename } = require('path');
+const fs = require('fs');
+const picomatch = require('picomatch');
+const { normalizeEsVersion, hasModuleSyntax, parseCode, parseLatest } = require('./parser');
+const { DEFAULT_CONDITIONS, toRelativePath, resolveEntries, describeEntry } = require('./entries');
+const { collectSpecifiers, resolveLocalSpecifier } = require('./graph');
+const { identifyFeature, findViolations, findViolatingFeatures, detectVersion } = require('./features');
+const { findApiUsages } = require('./apis');
+const {
+  resolveTargets,
+  getTargetEsVersion,
+  findUnsupportedFeatures,
+  filterApiUsages,
+} = require('./targets');
+const { toPosixPath, createFileFilter, createDirectoryFilter, findFiles } = require('./files');
+const { findOrigins } = require('./sourcemaps');
+const {
+  findPnpApi,
+  getRealPath,
+  isPnpmStorePath,
+  findPackagePath,
+  findInstalledPackages,
+  findLockedPackagePath,
+} = require('./resolver');
+const { readLockfile } = require('./lockfiles');
+const { unpackTarball, removeTarball } = require('./tarballs');
+const { createIgnoreMatcher } = require('./ignore');
+const { findSuppressions, findSuppression } = require('./suppressions');
+const { readBaseline, matchBaseline } = require('./baseline');
+const { addDependent, findDependencyPaths, findDependencies } = require('./dependents');
+const { findWorkspaces } = require('./workspaces');
+const { createWorkerPool } = require('./pool');
+
+const IGNORE_FILE_EXTENSIONS = ['.css', '.less', '.scss', '.style'];
+const JAVASCRIPT_FILE_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+const FAIL_ON_CATEGORIES = ['incompatible', 'cannot-open', 'non-js', 'esm'];
+const EXIT_CODE_INCOMPATIBLE = 1;
+const EXIT_CODE_CANNOT_OPEN = 2;
+const SUMMARY_KEYS = {
+  compatible: 'compatible',
+  incompatible: 'incompatible',
+  esm: 'esm',
+  'non-js': 'nonJs',
+  'cannot-open': 'cannotOpen',
+  baselined: 'baselined',
+};
+const DEFAULT_OPTIONS = {
+  requireResolvePath: '.',
+  esVersion: 5,
+  targets: null,
+  browserslist: false,
+  checkPeerDependency: false,
+  fullTraversal: true,
+  allViolations: false,
+  checkApis: false,
+  sourceMap: true,
+  detect: false,
+  conditions: DEFAULT_CONDITIONS,
+  failOn: ['incompatible'],
+  concurrency: 1,
+  ignore: [],
+  overrides: {},
+  baseline: null,
+  onResult: null,
+};
+const OVERRIDE_KEYS = ['esVersion', 'targets', 'conditions', 'checkApis'];
+// the options used to check a file, which are sent to the worker threads
+const FILE_OPTION_KEYS = ['esVersion', 'targets', 'allViolations', 'checkApis', 'detect'];
+const WORKER_SCRIPT = resolve(__dirname, 'worker.js');
+
+function isValidEsVersion(esVersion) {
+  const version = normalizeEsVersion(esVersion);
+  return Number.isInteger(version) && (version === 3 || version === 5 || version >= 2015);
+}
+
+/**
+ * Creates the context of a check, which holds the options and the results of
+ * the check, and is passed through all checking functions as `options`.
+ *
+ * @param options
+ *     the options of the check, see `DEFAULT_OPTIONS` and the README. The
+ *     other properties are kept in the context as is.
+ * @param projectPath
+ *     the directory to load the browserslist config from, if the targets are
+ *     specified by the browserslist config of the project.
+ * @return
+ *     the context of the check.
+ * @throws Error
+ *     if the options are invalid, or the targets cannot be resolved.
+ */
+function createContext(options, projectPath) {
+  const context = { ...DEFAULT_OPTIONS };
+  Object.keys(options).filter((key) => options[key] !== undefined).forEach((key) => {
+    context[key] = options[key];
+  });
+  if (!isValidEsVersion(context.esVersion)) {
+    throw new Error(`Invalid ECMAScript version: ${context.esVersion}`);
+  }
+  const invalid = context.failOn.filter((category) => !FAIL_ON_CATEGORIES.includes(category));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid categories to fail on: ${invalid.join(', ')}`);
+  }
+  if (!Number.isInteger(context.concurrency) || context.concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${context.concurrency}`);
+  }
+  if (context.targets && context.browserslist) {
+    throw new Error('The targets and the browserslist config cannot be used together.');
+  }
+  if (context.targets || context.browserslist) {
+    // the browserslist config is loaded from the directory of the checked
+    // package or files, in the same way as the bundlers do.
+    context.targets = resolveTargets(context.targets || null, resolve(projectPath));
+    context.esVersion = getTargetEsVersion(context.targets);
+  }
+  return Object.assign(context, {
+    ignoreMatcher: createIgnoreMatcher(context.ignore),
+    baseline: (typeof context.baseline === 'string' ? readBaseline(context.baseline) : context.baseline),
+    baselineMatches: new Set(),
+    packageOverrides: resolveOverrides(context.overrides, projectPath),
+    pnpApi: findPnpApi(context.requireResolvePath),
+    directories: null,
+    unreadableDirectories: [],
+    rootPackages: [],
+    workspacePaths: new Set(),
+    workspaces: null,
+    lockfile: null,
+    tarball: null,
+    unpackedPath: null,
+    dependents: new Map(),
+    fileResults: new Map(),
+    results: new Map(),
+    compatible: new Set(),
+    incompatible: new Set(),
+    esm: new Set(),
+    nonJs: new Set(),
+    canNotOpen: new Set(),
+    ignored: new Set(),
+    baselined: new Set(),
+  });
+}
+
+/**
+ * Resolves the per-package overrides of the options, e.g.,
+ * `{ "@babel/*": { "esVersion": 2015 } }`, which are keyed by the names or the
+ * glob patterns of the package names.
+ *
+ * @return
+ *     the array of `{ isMatch, esVersion, targets, conditions, checkApis }`,
+ *     in the order of the keys, where the options not overridden are
+ *     `undefined`.
+ * @throws Error
+ *     if an override is invalid, or its targets cannot be resolved.
+ */
+function resolveOverrides(overrides, projectPath) {
+  return Object.keys(overrides).map((pattern) => {
+    const override = overrides[pattern];
+    const invalid = Object.keys(override).filter((key) => !OVERRIDE_KEYS.includes(key));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid options in the override of "${pattern}": ${invalid.join(', ')}`);
+    }
+    if (override.esVersion !== undefined && !isValidEsVersion(override.esVersion)) {
+      throw new Error(`Invalid ECMAScript version in the override of "${pattern}": ${override.esVersion}`);
+    }
+    const targets = (override.targets ? resolveTargets(override.targets, resolve(projectPath)) : override.targets);
+    return {
+      isMatch: picomatch(pattern),
+      esVersion: (targets ? getTargetEsVersion(targets) : override.esVersion),
+      // an ECMAScript version overrides the targets, and vice versa
+      targets: (override.esVersion !== undefined && targets === undefined ? null : targets),
+      conditions: override.conditions,
+      checkApis: override.checkApis,
+    };
+  });
+}
+
+// Gets the options to check a package with, applying the overrides of the
+// package in order. Returns the options as is if no override matches.
+function getPackageOptions(name, options) {
+  const overrides = options.packageOverrides.filter((override) => override.isMatch(name));
+  if (overrides.length === 0) {
+    return options;
+  }
+  const packageOptions = { ...options };
+  overrides.forEach((override) => {
+    OVERRIDE_KEYS.filter((key) => override[key] !== undefined).forEach((key) => {
+      packageOptions[key] = override[key];
+    });
+  });
+  return packageOptions;
+}
+
+function shouldIgnore(path) {
+  if (path) {
+    for (const ext of IGNORE_FILE_EXTENSIONS) {
+      if (path.endsWith(ext)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function isJavascriptFile(path) {
+  if (path) {
+    for (const ext of JAVASCRIPT_FILE_EXTENSIONS) {
+      if (path.endsWith(ext)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Finds the usages of runtime APIs not supported by the ECMAScript version or
+// the target environments, or returns `null` if they are not checked.
+function findApis(ast, options) {
+  if (!options.checkApis) {
+    return null;
+  }
+  if (options.targets) {
+    return filterApiUsages(findApiUsages(ast, 3), options.targets);
+  }
+  return findApiUsages(ast, options.esVersion);
+}
+
+// Gets the result of a file parsed successfully, which is still incompatible
+// if it uses unsupported runtime APIs.
+function checkParsedFile(scriptCode, scriptPath, ast, esm, options) {
+  if (options.targets && !options.targets.supportsModules) {
+    esm = esm || hasModuleSyntax(ast);
+  }
+  const specifiers = collectSpecifiers(ast);
+  const version = (options.detect ? detectVersion(scriptCode, scriptPath, ast) : undefined);
+  const apis = findApis(ast, options);
+  if (apis && apis.length > 0) {
+    const violations = (options.allViolations ? [] : null);
+    return { status: 'incompatible', error: null, feature: null, violations, apis, version, specifiers };
+  }
+  return { status: (esm ? 'esm' : 'compatible'), version, specifiers };
+}
+
+// Checks a file failed to parse with the ECMAScript version of the target
+// environments against the features they support one by one. Returns `null`
+// if the failure could not be attributed to known features.
+function checkTargetFeatures(scriptCode, scriptPath, ast, error, options) {
+  const feature = identifyFeature(scriptCode, ast, error, options.esVersion);
+  if (!feature || !feature.name) {
+    return null;
+  }
+  const usages = findUnsupportedFeatures(ast, options.esVersion, options.targets);
+  if (usages.length === 0) {
+    return checkParsedFile(scriptCode, scriptPath, ast, false, options);
+  }
+  const { line, column } = usages[0].node.loc.start;
+  const unsupportedError = {
+    message: `Not supported by ${usages[0].lacking.join(', ')} (${line}:${column})`,
+    pos: usages[0].node.start,
+    loc: { line, column },
+  };
+  const violations = (options.allViolations
+    ? usages.map((usage) => ({
+      feature: { name: usage.feature.name, version: usage.feature.version },
+      line: usage.node.loc.start.line,
+      column: usage.node.loc.start.column,
+    }))
+    : null);
+  return {
+    status: 'incompatible',
+    error: unsupportedError,
+    feature: { name: usages[0].feature.name, version: usages[0].feature.version },
+    violations,
+    apis: findApis(ast, options),
+    version: (options.detect ? detectVersion(scriptCode, scriptPath, ast) : undefined),
+    specifiers: collectSpecifiers(ast),
+  };
+}
+
+function toSuppressedViolation(kind, { name, version }, line, column, suppression) {
+  return {
+    kind,
+    name,
+    version,
+    line,
+    column,
+    type: suppression.type,
+    commentLine: suppression.line,
+    reason: suppression.reason,
+  };
+}
+
+/**
+ * Removes the violations suppressed by the comments from the result of an
+ * incompatible file. The file becomes compatible if all its violations are
+ * suppressed, and its parsing error is suppressed or caused by a suppressed
+ * feature.
+ *
+ * The suppressed violations are listed in the `suppressed` field of the
+ * result, each of which is `{ kind, name, version, line, column, type,
+ * commentLine, reason }`, where `kind` is 'feature' or 'api', `type` is the
+ * type of the suppression, and `commentLine` is the line of its comment.
+ */
+function suppressViolations(scriptCode, scriptPath, result, suppressions, options) {
+  const ast = parseLatest(scriptCode, scriptPath);
+  if (!ast) {
+    return result;
+  }
+  const suppressed = [];
+  const isSuppressed = (kind, item, { line, column }) => {
+    const suppression = findSuppression(suppressions, line);
+    if (suppression) {
+      suppressed.push(toSuppressedViolation(kind, item, line, column, suppression));
+    }
+    return (suppression !== null);
+  };
+  const usages = (result.error
+    ? (options.targets
+      ? findUnsupportedFeatures(ast, options.esVersion, options.targets)
+      : findViolatingFeatures(ast, options.esVersion))
+    : []);
+  const remaining = usages.filter((usage) => !isSuppressed('feature', usage.feature, usage.node.loc.start));
+  const apis = (result.apis ? result.apis.filter((usage) => !isSuppressed('api', usage.api, usage)) : result.apis);
+  if (suppressed.length === 0) {
+    return result;
+  }
+  const errorSuppressed = Boolean(result.error && result.error.loc
+    && findSuppression(suppressions, result.error.loc.line));
+  if (remaining.length === 0 && (!result.error || errorSuppressed || (result.feature && result.feature.name))) {
+    if (apis && apis.length > 0) {
+      const violations = (options.allViolations ? [] : null);
+      return { ...result, error: null, feature: null, violations, apis, suppressed };
+    }
+    const esm = (options.targets ? !options.targets.supportsModules : normalizeEsVersion(options.esVersion) < 2015)
+      && hasModuleSyntax(ast);
+    return { status: (esm ? 'esm' : 'compatible'), version: result.version, specifiers: result.specifiers, suppressed };
+  }
+  let { error, feature } = result;
+  if (remaining.length > 0 && (errorSuppressed || options.targets)) {
+    // the parsing error is replaced by the first violation not suppressed
+    const usage = remaining[0];
+    const { line, column } = usage.node.loc.start;
+    const target = (usage.lacking ? usage.lacking.join(', ') : `ES${options.esVersion}`);
+    error = { message: `Not supported by ${target} (${line}:${column})`, pos: usage.node.start, loc: { line, column } };
+    feature = { name: usage.feature.name, version: usage.feature.version };
+  }
+  const violations = (result.violations
+    ? result.violations.filter((violation) => !violation.feature || !violation.feature.name
+      || !findSuppression(suppressions, violation.line))
+    : null);
+  return { ...result, error, feature, violations, apis, suppressed };
+}
+
+/**
+ * Checks a file, honouring the suppression comments if it is `suppressible`,
+ * i.e., a target file.
+ */
+function checkFile(scriptPath, options, suppressible = false) {
+  if (shouldIgnore(scriptPath)) {
+    return { status: 'non-js' };
+  }
+  // the file may have been checked by a worker thread, see `prefetchFiles()`
+  const prefetched = (options.fileResults ? options.fileResults.get(scriptPath) : undefined);
+  if (prefetched && !(suppressible && prefetched.status === 'incompatible')) {
+    return prefetched;
+  }
+  let scriptCode;
+  try {
+    scriptCode = fs.readFileSync(scriptPath, 'utf8');
+  } catch (error) {
+    return { status: 'cannot-open', error };
+  }
+  const result = prefetched || checkCode(scriptCode, scriptPath, options);
+  const suppressions = (suppressible && result.status === 'incompatible'
+    ? findSuppressions(scriptCode, scriptPath)
+    : null);
+  return (suppressions ? suppressViolations(scriptCode, scriptPath, result, suppressions, options) : result);
+}
+
+function checkCode(scriptCode, scriptPath, options) {
+  let result;
+  try {
+    result = parseCode(scriptCode, scriptPath, options.esVersion);
+  } catch (error) {
+    const ast = parseLatest(scriptCode, scriptPath);
+    if (options.targets && ast) {
+      const targetResult = checkTargetFeatures(scriptCode, scriptPath, ast, error, options);
+      if (targetResult) {
+        return targetResult;
+      }
+    }
+    const specifiers = (ast ? collectSpecifiers(ast) : []);
+    const feature = identifyFeature(scriptCode, ast, error, options.esVersion);
+    const violations = (options.allViolations
+      ? findViolations(scriptCode, ast, error, options.esVersion)
+      : null);
+    const apis = (ast ? findApis(ast, options) : null);
+    const version = (options.detect ? detectVersion(scriptCode, scriptPath, ast) : undefined);
+    return { status: 'incompatible', error, feature, violations, apis, version, specifiers };
+  }
+  return checkParsedFile(scriptCode, scriptPath, result.ast, result.esm, options);
+}
+
+// Notifies the `onResult` callback of the result of a package or a target file,
+// which is `cached` if the package has been checked before in the traversal.
+function notifyResult(name, record, options, depth, cached) {
+  if (options.onResult) {
+    options.onResult({ name, record, depth, cached });
+  }
+}
+
+/**
+ * Records the result of a package or a target file, and notifies it.
+ *
+ * The `record` is an object `{ type, status, failures, ... }`, where `type` is
+ * either 'package' or 'file', and `failures` is an array of
+ * `{ location, file, entry, error, apis }` describing the parsing errors and
+ * the usages of runtime APIs, where `error` is `null` if the file is parsed
+ * successfully but uses runtime APIs newer than the ECMAScript version.
+ */
+function recordResult(packageName, record, options, indent) {
+  if (record.status === 'incompatible' && options.baseline) {
+    applyBaseline(packageName, record, options);
+  }
+  options.results.set(packageName, record);
+  notifyResult(packageName, record, options, indent, false);
+  if (record.baselined) {
+    options.baselined.add(packageName);
+    return true;
+  }
+  switch (record.status) {
+    case 'non-js':
+      options.nonJs.add(packageName);
+      return true;
+    case 'cannot-open':
+      options.canNotOpen.add(packageName);
+      return false;
+    case 'esm':
+      options.esm.add(packageName);
+      return true;
+    case 'compatible':
+      options.compatible.add(packageName);
+      return true;
+    default:
+      options.incompatible.add(packageName);
+      return false;
+  }
+}
+
+// Marks the failures of an incompatible package or file accepted by the
+// baseline. The package or file is accepted if all its failures are accepted.
+function applyBaseline(label, record, options) {
+  record.failures.forEach((failure) => {
+    const { accepted, indexes } = matchBaseline(options.baseline, label, record, failure);
+    failure.baselined = accepted;
+    indexes.forEach((index) => options.baselineMatches.add(index));
+  });
+  record.baselined = record.failures.every((failure) => failure.baselined);
+}
+
+/**
+ * Gets the entries of the baseline which no longer apply, i.e., the entries of
+ * the packages and files without failures, which could be removed from the
+ * baseline.
+ */
+function findStaleBaselineEntries(options) {
+  if (!options.baseline) {
+    return [];
+  }
+  return options.baseline.entries.filter((entry, index) => !options.baselineMatches.has(index));
+}
+
+// Records a package or a target file ignored by the ignore list.
+function recordIgnored(label, record, options, indent) {
+  options.ignored.add(label);
+  notifyResult(label, { ...record, status: 'ignored', failures: [] }, options, indent, false);
+}
+
+// Maps the violations of an incompatible bundle back to the original sources,
+// if the bundle has a source map. Returns `null` if there is no source map.
+function findFailureOrigins(scriptPath, result, options) {
+  if (!options.sourceMap || result.status !== 'incompatible') {
+    return null;
+  }
+  let positions = [];
+  if (result.violations) {
+    positions = result.violations.filter((violation) => violation.line);
+  } else if (result.error && result.error.loc) {
+    positions.push(result.error.loc);
+  }
+  positions = positions.concat(result.apis || []);
+  let code;
+  try {
+    code = fs.readFileSync(scriptPath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+  return findOrigins(scriptPath, code, positions.map(({ line, column }) => ({ line, column })));
+}
+
+/**
+ * Finds the names of all language features of an incompatible file newer than
+ * the ECMAScript version or not supported by the target environments, which
+ * are recorded in the baseline, even if only the first violation is reported
+ * without `options.allViolations`. Otherwise, the next existing violation of
+ * the file would fail the check as a new one once the first is fixed.
+ *
+ * @return
+ *     the sorted array of the names of the features, or `null` if no baseline
+ *     is used, or the file has no parsing error or cannot be parsed.
+ */
+function findAllFeatures(scriptPath, result, options) {
+  if (!result.error || !(options.baseline || options.writeBaseline)) {
+    return null;
+  }
+  let usages = result.violations;
+  if (!usages) {
+    let scriptCode;
+    try {
+      scriptCode = fs.readFileSync(scriptPath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+    const ast = parseLatest(scriptCode, scriptPath);
+    if (!ast) {
+      return null;
+    }
+    usages = (options.targets
+      ? findUnsupportedFeatures(ast, options.esVersion, options.targets)
+      : findViolatingFeatures(ast, options.esVersion));
+  }
+  const names = usages.filter(({ feature }) => feature && feature.name).map(({ feature }) => feature.name);
+  return Array.from(new Set(names)).sort();
+}
+
+// Gets the path of a file matched against the glob patterns of the ignored
+// files, which is relative to the current directory, or to the root of the
+// unpacked package when checking a tarball, since the unpacked files are in a
+// temporary directory.
+function getIgnoredFilePath(file, options) {
+  return toPosixPath(relative(options.unpackedPath || '.', resolve(file)));
+}
+
+function checkScript(packageName, scriptPath, options, indent) {
+  if (options.ignoreMatcher.isFileIgnored(getIgnoredFilePath(scriptPath, options))) {
+    recordIgnored(packageName, { type: 'file', path: scriptPath }, options, indent);
+    return true;
+  }
+  const result = checkFile(scriptPath, options, true);
+  const failures = (result.status === 'incompatible'
+    ? [{
+      location: null,
+      file: scriptPath,
+      entry: null,
+      error: result.error,
+      feature: result.feature,
+      violations: result.violations,
+      apis: result.apis,
+      features: findAllFeatures(scriptPath, result, options),
+      origins: findFailureOrigins(scriptPath, result, options),
+    }]
+    : []);
+  return recordResult(packageName, {
+    type: 'file',
+    path: scriptPath,
+    status: result.status,
+    requiredEsVersion: mergeVersion([result]),
+    failures,
+    suppressed: (result.suppressed || []),
+  }, options, indent);
+}
+
+// Gets the overall status of a package from the statuses of its files.
+function mergeStatus(results) {
+  if (results.length === 0) {
+    return 'cannot-open';
+  }
+  for (const status of ['incompatible', 'cannot-open', 'esm', 'compatible']) {
+    if (results.some((result) => result.status === status)) {
+      return status;
+    }
+  }
+  // a package whose files are all ignored is compatible
+  return (results.some((result) => result.status === 'non-js') ? 'non-js' : 'compatible');
+}
+
+function createCannotOpenRecord(name, packagePath) {
+  return {
+    type: 'package',
+    name,
+    version: null,
+    path: packagePath,
+    entries: [],
+    files: [],
+    status: 'cannot-open',
+    failures: [],
+  };
+}
+
+// Gets the minimum ECMAScript version required by a package from the versions
+// required by its files, or `null` if unknown.
+function mergeVersion(results) {
+  let version = null;
+  for (const result of results) {
+    if (result.version === undefined) {
+      continue;
+    }
+    if (result.version === null) {
+      return null;
+    }
+    version = Math.max(version || 0, result.version);
+  }
+  return version;
+}
+
+function checkPackage(packageName, packagePath, options, indent) {
+  let packageInfo;
+  try {
+    packageInfo = require(resolve(packagePath, 'package.json'));
+  } catch (error) {
+    return recordResult(packageName, createCannotOpenRecord(packageName, packagePath), options, indent);
+  }
+  const packageOptions = getPackageOptions(packageInfo.name || packageName, options);
+  const entries = resolveEntries(packagePath, packageInfo, packageOptions.conditions);
+  const results = checkPackageFiles(packagePath, packageInfo, entries, packageOptions);
+  const failures = results
+    .filter((result) => result.status === 'incompatible')
+    .map((result) => ({
+      location: describeFailure(packagePath, result),
+      file: toRelativePath(packagePath, result.file),
+      entry: result.entry.subpath,
+      error: result.error,
+      feature: result.feature,
+      violations: result.violations,
+      apis: result.apis,
+      features: findAllFeatures(result.file, result, packageOptions),
+    }));
+  return recordResult(packageName, {
+    type: 'package',
+    name: packageInfo.name || packageName,
+    version: packageInfo.version || null,
+    path: packagePath,
+    entries: entries.map((entry) => ({ ...entry, file: toRelativePath(packagePath, entry.file) })),
+    files: results
+      .filter((result) => result.status !== 'ignored')
+      .map((result) => toRelativePath(packagePath, result.file)),
+    status: mergeStatus(results),
+    requiredEsVersion: mergeVersion(results),
+    failures,
+    override: (packageOptions === options
+      ? null
+      : { esVersion: packageOptions.esVersion, targets: packageOptions.targets }),
+  }, options, indent);
+}
+
+// Checks all files of a package reachable from its entry points, by following
+// the static require() and import specifiers of each file.
+function checkPackageFiles(packagePath, packageInfo, entries, options) {
+  const results = [];
+  const visited = new Set();
+  const queue = entries.map((entry) => ({ entry, file: entry.file }));
+  while (queue.length > 0) {
+    const { entry, file } = queue.shift();
+    if (visited.has(file)) {
+      continue;
+    }
+    visited.add(file);
+    if (options.ignoreMatcher.isFileIgnored(getIgnoredFilePath(file, options))) {
+      results.push({ entry, file, status: 'ignored' });
+      continue;
+    }
+    const result = checkFile(file, options);
+    results.push({ entry, file, ...result });
+    (result.specifiers || []).forEach((specifier) => {
+      const dependency = resolveLocalSpecifier(specifier, file, packagePath, packageInfo, options.conditions);
+      if (dependency && !visited.has(dependency)) {
+        queue.push({ entry, file: dependency });
+      }
+    });
+  }
+  return results;
+}
+
+function describeFailure(packagePath, result) {
+  const entry = describeEntry(packagePath, result.entry);
+  if (result.file === result.entry.file) {
+    return entry;
+  }
+  return `${toRelativePath(packagePath, result.file)} (reached from ${entry})`;
+}
+
+function getPackageVersion(packagePath) {
+  try {
+    return require(resolve(packagePath, 'package.json')).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the name of an installed package used in the output and as the key of
+ * the results, e.g., `lodash@4.17.21`. The path of the package is appended if
+ * it is not installed in the top level `node_modules` directory, e.g.,
+ * `lodash@3.10.1 (node_modules/foo/node_modules/lodash)`, so that different
+ * installed copies of a package have different results. The workspace
+ * packages are never labeled with their paths, since each of them is
+ * installed only once.
+ */
+function getPackageLabel(packageName, packagePath, options) {
+  const version = getPackageVersion(packagePath);
+  const label = (version ? `${packageName}@${version}` : packageName);
+  const path = resolve(packagePath);
+  // the packages installed with Plug'n'Play are located in the Yarn cache,
+  // where each version of a package is installed only once, and so are the
+  // packages in the store of pnpm.
+  if (options.pnpApi || isPnpmStorePath(packageName, path)
+      || path === getRealPath(options.requireResolvePath)
+      || options.workspacePaths.has(getRealPath(path))
+      || path === getRealPath(resolve(options.requireResolvePath, 'node_modules', packageName))) {
+    return label;
+  }
+  return `${label} (${relative(options.requireResolvePath, path)})`;
+}
+
+function checkDependencies(packageName, packagePath, options, indent) {
+  let packageInfo;
+  try {
+    packageInfo = require(resolve(packagePath, 'package.json'));
+  } catch (error) {
+    notifyResult(packageName, createCannotOpenRecord(packageName, packagePath), options, indent, true);
+    options.canNotOpen.add(packageName);
+    return false;
+  }
+  let dependencies = Object.keys(packageInfo.dependencies || {});
+  const regular = new Set(dependencies);
+  if (options.checkPeerDependency) {
+    dependencies = dependencies.concat(Object.keys(packageInfo.peerDependencies || {}));
+  }
+  dependencies = dependencies.sort();
+  // console.info('Checking the following list of dependencies: ', dependencies);
+  dependencies.forEach((dep) => {
+    // resolves the dependency relative to the package depending on it, in the
+    // same way as Node.js does, so that each installed copy is checked.
+    const depDir = findPackagePath(dep, packagePath, options.pnpApi)
+      || findPackagePath(dep, options.requireResolvePath, options.pnpApi);
+    const depName = (depDir ? getPackageLabel(dep, depDir, options) : dep);
+    const version = (depDir ? getPackageVersion(depDir) : null);
+    addDependent(options.dependents, depName, packageName, !regular.has(dep));
+    if (options.ignored.has(depName)) {
+      notifyResult(depName, { type: 'package', name: dep, version, path: depDir, status: 'ignored', failures: [] },
+        options, indent, true);
+    } else if (options.ignoreMatcher.isPackageIgnored(dep, version)) {
+      // the dependencies of an ignored package are still checked, since they
+      // are not necessarily transpiled with it.
+      recordIgnored(depName, { type: 'package', name: dep, version, path: depDir }, options, indent);
+      if (depDir && options.fullTraversal) {
+        checkDependencies(depName, depDir, options, indent + 1);
+      }
+    } else if (options.results.has(depName)) {
+      notifyResult(depName, options.results.get(depName), options, indent, true);
+    } else if (!depDir) {
+      recordResult(depName, createCannotOpenRecord(dep, null), options, indent);
+    } else {
+      // a package is added to the results before checking its dependencies,
+      // so that each package is traversed only once, even if the dependency
+      // graph is circular.
+      const compatible = checkPackage(depName, depDir, options, indent);
+      if (options.fullTraversal || !compatible) {
+        checkDependencies(depName, depDir, options, indent + 1);
+      }
+    }
+  });
+}
+
+function checkEsCompatible(packageName, packagePath, options, indent) {
+  const pkg = require(resolve(packagePath, 'package.json'));
+  if (packageName === '.') {
+    packageName = pkg.name;
+  }
+  // the dependencies are looked up from the real path of the package, e.g., a
+  // package installed by pnpm is a symbolic link to the store of pnpm.
+  packagePath = getRealPath(packagePath);
+  packageName = getPackageLabel(packageName, packagePath, options);
+  options.rootPackages.push(packageName);
+  if (options.results.has(packageName)) {
+    // a workspace package may have been checked as a dependency of another one
+    notifyResult(packageName, options.results.get(packageName), options, indent, true);
+  } else {
+    checkPackage(packageName, packagePath, options, indent);
+  }
+  checkDependencies(packageName, packagePath, options, indent + 1);
+  return (options.incompatible.size === 0);
+}
+
+/**
+ * Checks all workspace packages of a project and their dependencies, where
+ * the common dependencies are checked only once, see `findWorkspaces()`. A
+ * workspace package whose `package.json` cannot be read is recorded as a
+ * package which cannot be opened.
+ *
+ * @return
+ *     the number of the workspace packages, which is 0 if the project has no
+ *     workspaces.
+ * @throws Error
+ *     if the `package.json` of the project cannot be read.
+ */
+function checkWorkspaces(rootPath, options) {
+  const workspaces = findWorkspaces(rootPath);
+  // a workspace package reached as a dependency of another one has the same
+  // label as when it is checked as a root package
+  workspaces.forEach(({ path }) => options.workspacePaths.add(getRealPath(path)));
+  const labels = workspaces.map(({ name, path }) => {
+    try {
+      require(resolve(path, 'package.json'));
+    } catch (error) {
+      options.rootPackages.push(name);
+      recordResult(name, createCannotOpenRecord(name, path), options, 0);
+      return name;
+    }
+    checkEsCompatible(name, path, options, 0);
+    return options.rootPackages[options.rootPackages.length - 1];
+  });
+  options.workspaces = summarizeWorkspaces(resolve(rootPath), workspaces, labels, options);
+  return workspaces.length;
+}
+
+// Finds the installed copies of the packages locked by a lockfile, returning
+// an array of `{ pkg, packagePath }`, where `packagePath` is `null` if the
+// package is not installed.
+function findLockedPackages(lockfile, options) {
+  const lockfileDir = dirname(lockfile.path);
+  const installed = findInstalledPackages(lockfileDir, options.pnpApi);
+  return lockfile.packages.map((pkg) => ({ pkg, packagePath: findLockedPackagePath(pkg, lockfileDir, installed) }));
+}
+
+function getLockedLabel(pkg) {
+  return `${pkg.name}@${pkg.version}`;
+}
+
+/**
+ * Checks all packages locked by a lockfile, see `readLockfile()`, instead of
+ * following the dependencies of the packages. Each locked version of a package
+ * is checked once, with the copy installed in the project, and the locked
+ * packages not installed are recorded as missing, i.e., as the packages which
+ * cannot be opened with the `missing` field set.
+ *
+ * @param path
+ *     the path of the lockfile.
+ * @param comparedPath
+ *     the path of another lockfile to compare the locked packages with, e.g.,
+ *     the lockfile before an upgrade, or `null` not to compare.
+ * @throws Error
+ *     if a lockfile cannot be read.
+ */
+function checkLockfile(path, options, comparedPath = null) {
+  const lockfile = readLockfile(path);
+  const compared = (comparedPath ? readLockfile(comparedPath) : null);
+  const missing = [];
+  findLockedPackages(lockfile, options).forEach(({ pkg, packagePath }) => {
+    const label = getLockedLabel(pkg);
+    if (options.ignoreMatcher.isPackageIgnored(pkg.name, pkg.version)) {
+      recordIgnored(label, { type: 'package', name: pkg.name, version: pkg.version, path: packagePath }, options, 0);
+    } else if (packagePath) {
+      checkPackage(label, packagePath, options, 0);
+    } else {
+      missing.push(label);
+      recordResult(label, {
+        ...createCannotOpenRecord(pkg.name, null),
+        version: pkg.version,
+        missing: true,
+      }, options, 0);
+    }
+  });
+  const labels = lockfile.packages.map(getLockedLabel);
+  let comparison = null;
+  if (compared) {
+    const current = new Set(labels);
+    const previous = new Set(compared.packages.map(getLockedLabel));
+    comparison = {
+      path: compared.path,
+      type: compared.type,
+      added: labels.filter((label) => !previous.has(label)),
+      removed: Array.from(previous).filter((label) => !current.has(label)),
+    };
+  }
+  options.lockfile = { path: lockfile.path, type: lockfile.type, packages: labels, missing, comparison };
+}
+
+/**
+ * Checks a package tarball, e.g., the output of `npm pack` before publishing
+ * it, or a tarball downloaded from the registry before upgrading to it. The
+ * entry points of the packed `package.json` and the files reachable from them
+ * are checked in the same way as an installed package, so that an entry point
+ * whose file is not packed makes the package fail to open. The dependencies
+ * are not packed, and so are not checked.
+ *
+ * @return
+ *     whether the package is compatible.
+ * @throws Error
+ *     if the tarball cannot be unpacked, or it has no `package.json`.
+ */
+function checkTarball(path, options) {
+  const tarball = unpackTarball(path);
+  options.unpackedPath = tarball.dir;
+  try {
+    let packageInfo;
+    try {
+      packageInfo = JSON.parse(fs.readFileSync(resolve(tarball.dir, 'package.json'), 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot find the package.json in the tarball ${path}.`);
+    }
+    const name = packageInfo.name || basename(path).replace(/\.(tgz|tar\.gz)$/, '');
+    const label = (packageInfo.version ? `${name}@${packageInfo.version}` : name);
+    const { conditions } = getPackageOptions(name, options);
+    const missingEntries = resolveEntries(tarball.dir, packageInfo, conditions)
+      .filter((entry) => !fs.existsSync(entry.file))
+      .map((entry) => describeEntry(tarball.dir, entry));
+    options.rootPackages.push(label);
+    checkPackage(label, tarball.dir, options, 0);
+    // the package is reported with the tarball, since the unpacked files are
+    // removed after the check.
+    options.results.get(label).path = tarball.path;
+    options.tarball = { path: tarball.path, name: label, files: tarball.files, missingEntries };
+  } finally {
+    options.unpackedPath = null;
+    removeTarball(tarball.dir);
+  }
+  return (options.incompatible.size === 0);
+}
+
+/**
+ * Summarizes the results of the packages in the dependency tree of each
+ * workspace package.
+ *
+ * Returns an array of `{ name, path, packages, compatible, incompatible, esm,
+ * nonJs, cannotOpen, baselined, passed }` in the order of the workspaces, where
+ * `name` is the label of the workspace package, `path` is its path relative to
+ * the root directory, `packages` is the array of the labels of the packages in
+ * its dependency tree including itself, and the others are the numbers of
+ * packages.
+ */
+function summarizeWorkspaces(root, workspaces, labels, options) {
+  return workspaces.map(({ path }, index) => {
+    const summary = {
+      name: labels[index],
+      path: toPosixPath(relative(root, path)) || '.',
+      packages: findDependencies(options.dependents, labels[index]),
+      compatible: 0,
+      incompatible: 0,
+      esm: 0,
+      nonJs: 0,
+      cannotOpen: 0,
+      baselined: 0,
+    };
+    summary.packages.forEach((label) => {
+      const record = options.results.get(label);
+      if (record) {
+        summary[SUMMARY_KEYS[record.baselined ? 'baselined' : record.status]]++;
+      }
+    });
+    return { ...summary, passed: (getExitCodeOf(summary, options.failOn) === 0) };
+  });
+}
+
+/**
+ * Gets the paths from the root packages to a package in the dependency tree,
+ * see `findDependencyPaths()`.
+ *
+ * @param label
+ *     the label of the package in the results, e.g., `lodash@4.17.21`.
+ * @param root
+ *     the label of the root package to find the paths from, e.g., a workspace
+ *     package, or `null` to find the paths from all root packages.
+ * @return
+ *     an object `{ paths, truncated }`, or `null` if no package tree is
+ *     checked.
+ */
+function getDependencyPaths(label, options, root = null) {
+  if (options.rootPackages.length === 0) {
+    return null;
+  }
+  const roots = new Set(root ? [root] : options.rootPackages);
+  return findDependencyPaths(options.dependents, roots, label);
+}
+
+/**
+ * Finds the packages of a name in the dependency tree, or the package of a
+ * label, e.g., `lodash` matches all installed copies of the package, while
+ * `lodash@4.17.21` matches only the copies of the version.
+ *
+ * @return
+ *     the array of the labels of the packages, including the ignored ones.
+ */
+function findPackageLabels(name, options) {
+  const labels = new Set(options.rootPackages.concat(Array.from(options.dependents.keys())));
+  return Array.from(labels).filter((label) => {
+    // a label is "name@version", optionally followed by " (path)"
+    const nameVersion = label.replace(/ \(.*\)$/, '');
+    const at = nameVersion.lastIndexOf('@');
+    return (label === name || nameVersion === name || (at > 0 && nameVersion.slice(0, at) === name));
+  });
+}
+
+function findDirectoryFiles(dir, patterns) {
+  return findFiles(dir, createFileFilter(patterns, isJavascriptFile), createDirectoryFilter(patterns));
+}
+
+/**
+ * Checks all JavaScript files in a directory and its subdirectories, or the
+ * files matching the glob patterns, and summarizes the results by the
+ * directories in `options.directories`. The files are labeled with their
+ * paths relative to the current directory. The subdirectories which cannot be
+ * read are listed in `options.unreadableDirectories`, and counted as the
+ * results which cannot be opened.
+ *
+ * @throws Error
+ *     if the directory cannot be read.
+ */
+function checkDirectoryFiles(dir, patterns, options) {
+  const { files, unreadable } = findDirectoryFiles(dir, patterns);
+  options.unreadableDirectories = unreadable.map((path) => relative('.', path));
+  files.forEach((path) => {
+    const label = relative('.', path) || path;
+    checkScript(label, path, options, 0);
+  });
+  options.targetDir = dir;
+  options.directories = summarizeDirectories(resolve(dir), options);
+}
+
+/**
+ * Summarizes the results of the files checked in a directory by their
+ * directories.
+ *
+ * Returns an array of `{ path, files, compatible, incompatible, esm, nonJs,
+ * cannotOpen, baselined, passed }` sorted by the paths, where `path` is the path of the
+ * directory relative to the scanned directory, and the others are the numbers
+ * of files.
+ */
+function summarizeDirectories(root, options) {
+  const directories = new Map();
+  options.results.forEach((record) => {
+    const path = toPosixPath(relative(root, dirname(resolve(record.path)))) || '.';
+    if (!directories.has(path)) {
+      directories.set(path, {
+        path, files: 0, compatible: 0, incompatible: 0, esm: 0, nonJs: 0, cannotOpen: 0, baselined: 0,
+      });
+    }
+    const summary = directories.get(path);
+    summary.files++;
+    summary[SUMMARY_KEYS[record.baselined ? 'baselined' : record.status]]++;
+  });
+  return Array.from(directories.keys())
+    .sort()
+    .map((path) => directories.get(path))
+    .map((summary) => ({ ...summary, passed: (getExitCodeOf(summary, options.failOn) === 0) }));
+}
+
+/**
+ * Checks files in a pool of `options.concurrency` worker threads, and caches
+ * their results in `options.fileResults`, so that the check itself, which
+ * still traverses the packages and files one by one, only looks up the
+ * results, and its output is in the same order as if checked sequentially.
+ *
+ * @param options
+ *     the context of the check.
+ * @param start
+ *     the function called with `schedule(file, fileOptions, onResult)`, which
+ *     schedules to check a file with the options of its package, and calls
+ *     `onResult(result)` when the file is checked, e.g., to schedule the files
+ *     it imports. Each file is scheduled only once.
+ * @return
+ *     a promise resolved when all scheduled files are checked.
+ */
+async function prefetchFiles(options, start) {
+  const pool = createWorkerPool(WORKER_SCRIPT, options.concurrency, { requireResolvePath: options.requireResolvePath });
+  const scheduled = new Set();
+  const tasks = [];
+  const schedule = (file, fileOptions, onResult = null) => {
+    if (scheduled.has(file) || shouldIgnore(file)
+        || options.ignoreMatcher.isFileIgnored(getIgnoredFilePath(file, options))) {
+      return;
+    }
+    scheduled.add(file);
+    const task = { file, options: {} };
+    FILE_OPTION_KEYS.forEach((key) => {
+      task.options[key] = fileOptions[key];
+    });
+    tasks.push(pool.run(task).then((result) => {
+      options.fileResults.set(file, result);
+      if (onResult) {
+        onResult(result);
+      }
+    }).catch(() => {
+      // the file is checked again by the check itself, which reports the error
+    }));
+  };
+  try {
+    start(schedule);
+    // the tasks scheduled while waiting are appended, and also waited for
+    for (let i = 0; i < tasks.length; ++i) {
+      await tasks[i];
+    }
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Checks the files of the packages, and of their dependencies if
+ * `followDependencies` is `true`, in parallel before the check, if
+ * `options.concurrency` is greater than 1, see `prefetchFiles()`.
+ *
+ * The dependency trees are walked first, in the same way as the check does,
+ * and the entry points of each package are queued to the worker threads,
+ * followed by the files they import. All dependencies are walked even if
+ * `options.fullTraversal` is `false`.
+ */
+async function prefetchPackages(packagePaths, options, followDependencies = true) {
+  if (options.concurrency <= 1) {
+    return;
+  }
+  const visited = new Set();
+  await prefetchFiles(options, (schedule) => {
+    const scheduleFiles = (files, packagePath, packageInfo, packageOptions) => {
+      files.forEach((file) => schedule(file, packageOptions, (result) => {
+        const dependencies = (result.specifiers || [])
+          .map((specifier) => resolveLocalSpecifier(specifier, file, packagePath, packageInfo, packageOptions.conditions))
+          .filter((dependency) => dependency);
+        scheduleFiles(dependencies, packagePath, packageInfo, packageOptions);
+      }));
+    };
+    const visit = (packagePath, name) => {
+      const path = getRealPath(packagePath);
+      if (visited.has(path)) {
+        return;
+      }
+      visited.add(path);
+      let packageInfo;
+      try {
+        packageInfo = require(resolve(path, 'package.json'));
+      } catch (error) {
+        return;
+      }
+      // the root packages are never ignored
+      if (name === null || !options.ignoreMatcher.isPackageIgnored(name, packageInfo.version || null)) {
+        const packageOptions = getPackageOptions(packageInfo.name || name, options);
+        const entries = resolveEntries(path, packageInfo, packageOptions.conditions);
+        scheduleFiles(entries.map((entry) => entry.file), path, packageInfo, packageOptions);
+      }
+      if (followDependencies) {
+        let dependencies = Object.keys(packageInfo.dependencies || {});
+        if (options.checkPeerDependency) {
+          dependencies = dependencies.concat(Object.keys(packageInfo.peerDependencies || {}));
+        }
+        dependencies.sort().forEach((dep) => {
+          const depDir = findPackagePath(dep, path, options.pnpApi)
+            || findPackagePath(dep, options.requireResolvePath, options.pnpApi);
+          if (depDir) {
+            visit(depDir, dep);
+          }
+        });
+      }
+    };
+    packagePaths.forEach((packagePath) => visit(packagePath, null));
+  });
+}
+
+/**
+ * Checks the installed packages locked by a lockfile in parallel before
+ * `checkLockfile()`, see `prefetchPackages()`.
+ *
+ * @throws Error
+ *     if the lockfile cannot be read.
+ */
+async function prefetchLockfile(path, options) {
+  if (options.concurrency <= 1) {
+    return;
+  }
+  const packagePaths = findLockedPackages(readLockfile(path), options)
+    .filter(({ pkg, packagePath }) => packagePath && !options.ignoreMatcher.isPackageIgnored(pkg.name, pkg.version))
+    .map(({ packagePath }) => packagePath);
+  await prefetchPackages(packagePaths, options, false);
+}
+
+/**
+ * Checks the files in a directory in parallel before `checkDirectoryFiles()`,
+ * see `prefetchFiles()`.
+ *
+ * @throws Error
+ *     if the directory cannot be read.
+ */
+async function prefetchDirectory(dir, patterns, options) {
+  if (options.concurrency <= 1) {
+    return;
+  }
+  const { files } = findDirectoryFiles(dir, patterns);
+  await prefetchFiles(options, (schedule) => files.forEach((file) => schedule(file, options)));
+}
+
+// Gets the exit code from the numbers of results in each category.
+function getExitCodeOf(counts, failOn) {
+  if ((failOn.includes('incompatible') && counts.incompatible > 0)
+      || (failOn.includes('non-js') && counts.nonJs > 0)
+      || (failOn.includes('esm') && counts.esm > 0)) {
+    return EXIT_CODE_INCOMPATIBLE;
+  }
+  if (failOn.includes('cannot-open') && counts.cannotOpen > 0) {
+    return EXIT_CODE_CANNOT_OPEN;
+  }
+  return 0;
+}
+
+/**
+ * Gets the exit code of the program according to the results and the failure
+ * policy specified by the `failOn` option.
+ */
+function getExitCode(options) {
+  return getExitCodeOf({
+    incompatible: options.incompatible.size,
+    nonJs: options.nonJs.size,
+    esm: options.esm.size,
+    cannotOpen: options.canNotOpen.size + options.unreadableDirectories.length,
+  }, options.failOn);
+}
+
+module.exports = {
+  FAIL_ON_CATEGORIES,
+  EXIT_CODE_INCOMPATIBLE,
+  EXIT_CODE_CANNOT_OPEN,
+  SUMMARY_KEYS,
+  isValidEsVersion,
+  createContext,
+  checkScript,
+  checkEsCompatible,
+  checkWorkspaces,
+  checkLockfile,
+  checkTarball,
+  prefetchPackages,
+  prefetchLockfile,
+  prefetchDirectory,
+  checkFile,
+  findStaleBaselineEntries,
+  getDependencyPaths,
+  findPackageLabels,
+  checkDirectoryFiles,
+  getExitCode,
+};
@@ -0,0 +1,177 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, dirname, join } = require('path');
+const fs = require('fs');
+
+const CONFIG_FILES = ['.checkesrc', '.checkesrc.json'];
+const PACKAGE_CONFIG_KEY = 'checkEsVersion';
+const CONFIG_OPTIONS = [
+  'esVersion',
+  'targets',
+  'browserslist',
+  'packageName',
+  'requireResolvePath',
+  'showDependencyTree',
+  'showError',
+  'checkPeerDependency',
+  'fullTraversal',
+  'allViolations',
+  'checkApis',
+  'sourceMap',
+  'detect',
+  'conditions',
+  'failOn',
+  'concurrency',
+  'format',
+  'output',
+  'targetFile',
+  'targetDir',
+  'targetGlob',
+  'workspaces',
+  'lockfile',
+  'compareLockfile',
+  'tarball',
+  'baseline',
+  'writeBaseline',
+  'ignore',
+  'overrides',
+];
+
+function isObject(value) {
+  return (value !== null && typeof value === 'object' && !Array.isArray(value));
+}
+
+// Checks the options of the configuration or a profile of it.
+function validateOptions(options, source) {
+  if (!isObject(options)) {
+    throw new Error(`The configuration ${source} must be an object.`);
+  }
+  const invalid = Object.keys(options).filter((key) => !CONFIG_OPTIONS.includes(key));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown options in the configuration ${source}: ${invalid.join(', ')}`);
+  }
+  if (options.ignore !== undefined
+      && (!Array.isArray(options.ignore) || options.ignore.some((name) => typeof name !== 'string'))) {
+    throw new Error(`The "ignore" option of the configuration ${source} must be an array of strings.`);
+  }
+  if (options.overrides !== undefined
+      && (!isObject(options.overrides) || !Object.values(options.overrides).every(isObject))) {
+    throw new Error(`The "overrides" option of the configuration ${source} must be an object of options.`);
+  }
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read the configuration ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the configuration of a project, i.e., the `.checkesrc` or
+ * `.checkesrc.json` file, or the `checkEsVersion` field of the `package.json`,
+ * in the directory and its ancestors. The first one found is used.
+ *
+ * @return
+ *     an object `{ path, config }`, or `null` if no configuration is found.
+ */
+function findConfig(dir) {
+  let current = resolve(dir);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const path = join(current, name);
+      if (fs.existsSync(path)) {
+        return { path, config: readJson(path) };
+      }
+    }
+    const packagePath = join(current, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      const packageInfo = readJson(packagePath);
+      if (packageInfo[PACKAGE_CONFIG_KEY] !== undefined) {
+        return { path: `${packagePath}#${PACKAGE_CONFIG_KEY}`, config: packageInfo[PACKAGE_CONFIG_KEY] };
+      }
+    }
+    const parent = dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Merges the options of a profile into the base options. The ignore lists are
+// concatenated, and the overrides are merged by the package names.
+function mergeOptions(base, options) {
+  return {
+    ...base,
+    ...options,
+    ignore: (base.ignore || []).concat(options.ignore || []),
+    overrides: { ...base.overrides, ...options.overrides },
+  };
+}
+
+/**
+ * Loads the options from the configuration of a project.
+ *
+ * The configuration is a JSON object of the options named as the command line
+ * arguments in camel case, e.g., `{ "esVersion": 5, "showError": true }`,
+ * together with:
+ *
+ * - `ignore`: the array of the entries of the ignore list, see `.checkesignore`;
+ * - `overrides`: the object of the options `esVersion`, `targets`,
+ *   `conditions` and `checkApis` used to check the packages, keyed by the
+ *   names or glob patterns of the packages;
+ * - `profiles`: the object of named sets of options, which are merged into
+ *   the other options if selected;
+ * - `profile`: the name of the profile selected by default.
+ *
+ * @param dir
+ *     the directory to find the configuration from.
+ * @param file
+ *     the path of the configuration file, or `null` to find it from `dir`.
+ * @param profile
+ *     the name of the profile to select, or `null` to select the default one.
+ * @return
+ *     an object `{ path, options }`, where `options` always has the `ignore`
+ *     and `overrides` fields, or `null` if no configuration is found.
+ * @throws Error
+ *     if the configuration cannot be read or is invalid, or the profile is
+ *     not defined.
+ */
+function loadConfig(dir, file = null, profile = null) {
+  const found = (file ? { path: resolve(file), config: readJson(resolve(file)) } : findConfig(dir));
+  if (!found) {
+    if (profile) {
+      throw new Error(`Cannot find the configuration to select the profile "${profile}" from.`);
+    }
+    return null;
+  }
+  if (!isObject(found.config)) {
+    throw new Error(`The configuration ${found.path} must be an object.`);
+  }
+  const { profiles = {}, profile: defaultProfile, ...base } = found.config;
+  validateOptions(base, found.path);
+  let options = mergeOptions({}, base);
+  const name = profile || defaultProfile;
+  if (name) {
+    if (!isObject(profiles) || !Object.prototype.hasOwnProperty.call(profiles, name)) {
+      throw new Error(`The profile "${name}" is not defined in the configuration ${found.path}.`);
+    }
+    validateOptions(profiles[name], `${found.path} (profile "${name}")`);
+    options = mergeOptions(options, profiles[name]);
+  }
+  return { path: found.path, options };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PACKAGE_CONFIG_KEY,
+  loadConfig,
+};
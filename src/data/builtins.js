@@ -0,0 +1,201 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The built-in global objects, and the ECMAScript versions introducing them.
+ */
+const GLOBALS = {
+  JSON: 5,
+  Promise: 2015,
+  Symbol: 2015,
+  Map: 2015,
+  Set: 2015,
+  WeakMap: 2015,
+  WeakSet: 2015,
+  Proxy: 2015,
+  Reflect: 2015,
+  ArrayBuffer: 2015,
+  DataView: 2015,
+  Int8Array: 2015,
+  Uint8Array: 2015,
+  Uint8ClampedArray: 2015,
+  Int16Array: 2015,
+  Uint16Array: 2015,
+  Int32Array: 2015,
+  Uint32Array: 2015,
+  Float32Array: 2015,
+  Float64Array: 2015,
+  SharedArrayBuffer: 2017,
+  Atomics: 2017,
+  BigInt: 2020,
+  BigInt64Array: 2020,
+  BigUint64Array: 2020,
+  globalThis: 2020,
+  WeakRef: 2021,
+  FinalizationRegistry: 2021,
+  AggregateError: 2021,
+  Iterator: 2025,
+};
+
+/**
+ * The static methods and properties of the built-in objects, and the
+ * ECMAScript versions introducing them.
+ */
+const STATIC_MEMBERS = {
+  Object: {
+    create: 5,
+    defineProperty: 5,
+    defineProperties: 5,
+    getPrototypeOf: 5,
+    getOwnPropertyNames: 5,
+    getOwnPropertyDescriptor: 5,
+    keys: 5,
+    freeze: 5,
+    seal: 5,
+    preventExtensions: 5,
+    isFrozen: 5,
+    isSealed: 5,
+    isExtensible: 5,
+    assign: 2015,
+    is: 2015,
+    setPrototypeOf: 2015,
+    getOwnPropertySymbols: 2015,
+    values: 2017,
+    entries: 2017,
+    getOwnPropertyDescriptors: 2017,
+    fromEntries: 2019,
+    hasOwn: 2022,
+    groupBy: 2024,
+  },
+  Array: {
+    isArray: 5,
+    from: 2015,
+    of: 2015,
+  },
+  Date: {
+    now: 5,
+  },
+  Number: {
+    isFinite: 2015,
+    isInteger: 2015,
+    isNaN: 2015,
+    isSafeInteger: 2015,
+    parseFloat: 2015,
+    parseInt: 2015,
+    EPSILON: 2015,
+    MAX_SAFE_INTEGER: 2015,
+    MIN_SAFE_INTEGER: 2015,
+  },
+  Math: {
+    acosh: 2015,
+    asinh: 2015,
+    atanh: 2015,
+    cbrt: 2015,
+    clz32: 2015,
+    cosh: 2015,
+    expm1: 2015,
+    fround: 2015,
+    hypot: 2015,
+    imul: 2015,
+    log10: 2015,
+    log1p: 2015,
+    log2: 2015,
+    sign: 2015,
+    sinh: 2015,
+    tanh: 2015,
+    trunc: 2015,
+    f16round: 2025,
+  },
+  String: {
+    fromCodePoint: 2015,
+    raw: 2015,
+  },
+  Promise: {
+    allSettled: 2020,
+    any: 2021,
+    withResolvers: 2024,
+    try: 2025,
+  },
+  Map: {
+    groupBy: 2024,
+  },
+  Symbol: {
+    asyncIterator: 2018,
+  },
+  ArrayBuffer: {
+    isView: 2015,
+  },
+  Atomics: {
+    waitAsync: 2024,
+  },
+};
+
+/**
+ * The well-known prototype methods of the built-in objects, and the ECMAScript
+ * versions introducing them. The methods with too generic names, e.g., `keys`,
+ * `find`, `fill` and `normalize`, are not listed, since they are widely defined
+ * by other libraries and cannot be distinguished without type information.
+ */
+const PROTOTYPE_METHODS = {
+  Array: {
+    forEach: 5,
+    map: 5,
+    filter: 5,
+    reduce: 5,
+    reduceRight: 5,
+    some: 5,
+    every: 5,
+    indexOf: 5,
+    lastIndexOf: 5,
+    findIndex: 2015,
+    copyWithin: 2015,
+    includes: 2016,
+    flat: 2019,
+    flatMap: 2019,
+    at: 2022,
+    findLast: 2023,
+    findLastIndex: 2023,
+    toReversed: 2023,
+    toSorted: 2023,
+    toSpliced: 2023,
+  },
+  String: {
+    trim: 5,
+    codePointAt: 2015,
+    startsWith: 2015,
+    endsWith: 2015,
+    includes: 2015,
+    repeat: 2015,
+    padStart: 2017,
+    padEnd: 2017,
+    trimStart: 2019,
+    trimEnd: 2019,
+    matchAll: 2020,
+    replaceAll: 2021,
+    at: 2022,
+    isWellFormed: 2024,
+    toWellFormed: 2024,
+  },
+  Function: {
+    bind: 5,
+  },
+  Date: {
+    toISOString: 5,
+    toJSON: 5,
+  },
+  Promise: {
+    finally: 2018,
+  },
+};
+
+module.exports = {
+  GLOBALS,
+  STATIC_MEMBERS,
+  PROTOTYPE_METHODS,
+};
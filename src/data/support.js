@@ -0,0 +1,280 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+// The minimum versions of the JavaScript engines supporting the language
+// features and the built-ins. The engines are:
+//
+// - `chrome`: Chrome, and the browsers based on Chromium, see `ENGINES`;
+// - `edge`: the legacy Edge based on EdgeHTML, i.e., Edge 12 to 18;
+// - `firefox`: Firefox;
+// - `safari`: Safari on macOS and iOS;
+// - `node`: Node.js;
+// - `ie`: Internet Explorer.
+//
+// An engine not listed in an entry does not support it.
+
+const IE_ES5 = { chrome: '5', edge: '12', firefox: '4', safari: '5', node: '0.10', ie: '9' };
+
+/**
+ * The support of the language features, keyed by the keys of `FEATURES`.
+ */
+const FEATURE_SUPPORT = {
+  ACCESSORS: IE_ES5,
+  RESERVED_PROPERTY_NAMES: IE_ES5,
+  LET_CONST: { chrome: '49', edge: '14', firefox: '44', safari: '10', node: '6' },
+  ARROW_FUNCTIONS: { chrome: '45', edge: '12', firefox: '22', safari: '10', node: '4' },
+  CLASSES: { chrome: '49', edge: '13', firefox: '45', safari: '10', node: '6' },
+  SUPER: { chrome: '49', edge: '13', firefox: '45', safari: '10', node: '6' },
+  NEW_TARGET: { chrome: '46', edge: '13', firefox: '41', safari: '10', node: '5' },
+  GENERATORS: { chrome: '39', edge: '13', firefox: '26', safari: '10', node: '4' },
+  TEMPLATE_LITERALS: { chrome: '41', edge: '13', firefox: '34', safari: '9', node: '4' },
+  FOR_OF: { chrome: '38', edge: '12', firefox: '13', safari: '7', node: '0.12' },
+  DESTRUCTURING: { chrome: '49', edge: '14', firefox: '41', safari: '10', node: '6' },
+  DEFAULT_VALUES: { chrome: '49', edge: '14', firefox: '15', safari: '10', node: '6' },
+  REST: { chrome: '47', edge: '12', firefox: '15', safari: '10', node: '6' },
+  SPREAD: { chrome: '46', edge: '12', firefox: '16', safari: '8', node: '5' },
+  SHORTHAND_PROPERTIES: { chrome: '43', edge: '12', firefox: '33', safari: '9', node: '4' },
+  METHOD_DEFINITIONS: { chrome: '39', edge: '12', firefox: '34', safari: '9', node: '4' },
+  COMPUTED_PROPERTIES: { chrome: '44', edge: '12', firefox: '34', safari: '8', node: '4' },
+  BINARY_OCTAL_LITERALS: { chrome: '41', edge: '12', firefox: '25', safari: '9', node: '4' },
+  UNICODE_CODE_POINT_ESCAPES: { chrome: '44', edge: '12', firefox: '40', safari: '9', node: '4' },
+  REGEXP_STICKY_UNICODE: { chrome: '50', edge: '13', firefox: '46', safari: '10', node: '6' },
+  MODULES: { chrome: '61', edge: '16', firefox: '60', safari: '11', node: '12.17' },
+  EXPONENTIATION: { chrome: '52', edge: '14', firefox: '52', safari: '10.1', node: '7' },
+  ASYNC_FUNCTIONS: { chrome: '55', edge: '15', firefox: '52', safari: '11', node: '7.6' },
+  ASYNC_GENERATORS: { chrome: '63', firefox: '57', safari: '12', node: '10' },
+  FOR_AWAIT: { chrome: '63', firefox: '57', safari: '12', node: '10' },
+  OBJECT_REST: { chrome: '60', firefox: '55', safari: '11.1', node: '8.3' },
+  OBJECT_SPREAD: { chrome: '60', firefox: '55', safari: '11.1', node: '8.3' },
+  REGEXP_DOT_ALL: { chrome: '62', firefox: '78', safari: '11.1', node: '8.10' },
+  REGEXP_LOOKBEHIND: { chrome: '62', firefox: '78', safari: '16.4', node: '8.10' },
+  REGEXP_NAMED_GROUPS: { chrome: '64', firefox: '78', safari: '11.1', node: '10' },
+  REGEXP_UNICODE_PROPERTIES: { chrome: '64', firefox: '78', safari: '11.1', node: '10' },
+  OPTIONAL_CATCH_BINDING: { chrome: '66', firefox: '58', safari: '11.1', node: '10' },
+  OPTIONAL_CHAINING: { chrome: '80', firefox: '74', safari: '13.1', node: '14' },
+  NULLISH_COALESCING: { chrome: '80', firefox: '72', safari: '13.1', node: '14' },
+  BIGINT_LITERALS: { chrome: '67', firefox: '68', safari: '14', node: '10.4' },
+  DYNAMIC_IMPORT: { chrome: '63', firefox: '67', safari: '11.1', node: '13.2' },
+  IMPORT_META: { chrome: '64', firefox: '62', safari: '11.1', node: '10.4' },
+  EXPORT_NAMESPACE: { chrome: '72', firefox: '80', safari: '14.1', node: '12' },
+  LOGICAL_ASSIGNMENT: { chrome: '85', firefox: '79', safari: '14', node: '15' },
+  NUMERIC_SEPARATORS: { chrome: '75', firefox: '70', safari: '13', node: '12.5' },
+  CLASS_FIELDS: { chrome: '72', firefox: '69', safari: '14.1', node: '12' },
+  PRIVATE_MEMBERS: { chrome: '84', firefox: '90', safari: '15', node: '14.6' },
+  CLASS_STATIC_BLOCKS: { chrome: '94', firefox: '93', safari: '16.4', node: '16.11' },
+  TOP_LEVEL_AWAIT: { chrome: '89', firefox: '89', safari: '15', node: '14.8' },
+  REGEXP_MATCH_INDICES: { chrome: '90', firefox: '88', safari: '15', node: '16' },
+  REGEXP_UNICODE_SETS: { chrome: '112', firefox: '116', safari: '17', node: '20' },
+  IMPORT_ATTRIBUTES: { chrome: '123', firefox: '138', safari: '17.2', node: '22' },
+  REGEXP_MODIFIERS: { chrome: '125', firefox: '132', node: '23' },
+  USING_DECLARATIONS: { chrome: '134', firefox: '141', node: '24' },
+};
+
+const TYPED_ARRAYS = { chrome: '7', edge: '12', firefox: '4', safari: '5.1', node: '0.10', ie: '10' };
+const MAP_SET = { chrome: '38', edge: '12', firefox: '13', safari: '8', node: '0.12' };
+const NUMBER_METHODS = { chrome: '34', edge: '12', firefox: '32', safari: '9', node: '0.12' };
+const MATH_METHODS = { chrome: '38', edge: '12', firefox: '31', safari: '8', node: '0.12' };
+const BIGINT = { chrome: '67', firefox: '68', safari: '14', node: '10.4' };
+const SHARED_MEMORY = { chrome: '68', firefox: '79', safari: '15.2', node: '8.10' };
+const WEAK_REFS = { chrome: '84', firefox: '79', safari: '14.1', node: '14.6' };
+const AT = { chrome: '92', firefox: '90', safari: '15.4', node: '16.6' };
+
+/**
+ * The support of the built-ins, keyed by the names of the APIs reported by
+ * `findApiUsages()`. The built-ins not listed are supported by the engines
+ * supporting all features of the ECMAScript versions introducing them, see
+ * `ES_VERSION_SUPPORT`.
+ */
+const API_SUPPORT = {
+  Promise: { chrome: '32', edge: '12', firefox: '29', safari: '8', node: '0.12' },
+  Symbol: { chrome: '38', edge: '12', firefox: '36', safari: '9', node: '0.12' },
+  Map: MAP_SET,
+  Set: MAP_SET,
+  WeakMap: { chrome: '36', edge: '12', firefox: '6', safari: '8', node: '0.12' },
+  WeakSet: { chrome: '36', edge: '12', firefox: '34', safari: '9', node: '0.12' },
+  Proxy: { chrome: '49', edge: '12', firefox: '18', safari: '10', node: '6' },
+  Reflect: { chrome: '49', edge: '12', firefox: '42', safari: '10', node: '6' },
+  ArrayBuffer: TYPED_ARRAYS,
+  DataView: TYPED_ARRAYS,
+  Int8Array: TYPED_ARRAYS,
+  Uint8Array: TYPED_ARRAYS,
+  Uint8ClampedArray: TYPED_ARRAYS,
+  Int16Array: TYPED_ARRAYS,
+  Uint16Array: TYPED_ARRAYS,
+  Int32Array: TYPED_ARRAYS,
+  Uint32Array: TYPED_ARRAYS,
+  Float32Array: TYPED_ARRAYS,
+  Float64Array: TYPED_ARRAYS,
+  SharedArrayBuffer: SHARED_MEMORY,
+  Atomics: SHARED_MEMORY,
+  BigInt: BIGINT,
+  BigInt64Array: { ...BIGINT, safari: '15' },
+  BigUint64Array: { ...BIGINT, safari: '15' },
+  globalThis: { chrome: '71', firefox: '65', safari: '12.1', node: '12' },
+  WeakRef: WEAK_REFS,
+  FinalizationRegistry: WEAK_REFS,
+  AggregateError: { chrome: '85', firefox: '79', safari: '14', node: '15' },
+  Iterator: { chrome: '122', firefox: '131', safari: '18.4', node: '22' },
+  'Object.assign': { chrome: '45', edge: '12', firefox: '34', safari: '9', node: '4' },
+  'Object.is': { chrome: '19', edge: '12', firefox: '22', safari: '9', node: '0.10' },
+  'Object.setPrototypeOf': { chrome: '34', edge: '12', firefox: '31', safari: '9', node: '0.12', ie: '11' },
+  'Object.getOwnPropertySymbols': { chrome: '38', edge: '12', firefox: '36', safari: '9', node: '0.12' },
+  'Object.values': { chrome: '54', edge: '14', firefox: '47', safari: '10.1', node: '7' },
+  'Object.entries': { chrome: '54', edge: '14', firefox: '47', safari: '10.1', node: '7' },
+  'Object.getOwnPropertyDescriptors': { chrome: '54', edge: '15', firefox: '50', safari: '10', node: '7' },
+  'Object.fromEntries': { chrome: '73', firefox: '63', safari: '12.1', node: '12' },
+  'Object.hasOwn': { chrome: '93', firefox: '92', safari: '15.4', node: '16.9' },
+  'Object.groupBy': { chrome: '117', firefox: '119', safari: '17.4', node: '21' },
+  'Array.from': { chrome: '45', edge: '12', firefox: '32', safari: '9', node: '4' },
+  'Array.of': { chrome: '45', edge: '12', firefox: '25', safari: '9', node: '4' },
+  'Number.isFinite': NUMBER_METHODS,
+  'Number.isInteger': NUMBER_METHODS,
+  'Number.isNaN': NUMBER_METHODS,
+  'Number.isSafeInteger': NUMBER_METHODS,
+  'Number.parseFloat': NUMBER_METHODS,
+  'Number.parseInt': NUMBER_METHODS,
+  'Number.EPSILON': NUMBER_METHODS,
+  'Number.MAX_SAFE_INTEGER': NUMBER_METHODS,
+  'Number.MIN_SAFE_INTEGER': NUMBER_METHODS,
+  'Math.acosh': MATH_METHODS,
+  'Math.asinh': MATH_METHODS,
+  'Math.atanh': MATH_METHODS,
+  'Math.cbrt': MATH_METHODS,
+  'Math.clz32': MATH_METHODS,
+  'Math.cosh': MATH_METHODS,
+  'Math.expm1': MATH_METHODS,
+  'Math.fround': MATH_METHODS,
+  'Math.hypot': MATH_METHODS,
+  'Math.imul': MATH_METHODS,
+  'Math.log10': MATH_METHODS,
+  'Math.log1p': MATH_METHODS,
+  'Math.log2': MATH_METHODS,
+  'Math.sign': MATH_METHODS,
+  'Math.sinh': MATH_METHODS,
+  'Math.tanh': MATH_METHODS,
+  'Math.trunc': MATH_METHODS,
+  'Math.f16round': { chrome: '135', firefox: '129', safari: '18.2', node: '24' },
+  'String.fromCodePoint': { chrome: '41', edge: '12', firefox: '29', safari: '9', node: '4' },
+  'String.raw': { chrome: '41', edge: '12', firefox: '34', safari: '9', node: '4' },
+  'Promise.allSettled': { chrome: '76', firefox: '71', safari: '13', node: '12.9' },
+  'Promise.any': { chrome: '85', firefox: '79', safari: '14', node: '15' },
+  'Promise.withResolvers': { chrome: '119', firefox: '121', safari: '17.4', node: '22' },
+  'Promise.try': { chrome: '128', firefox: '134', safari: '18.2', node: '23' },
+  'Map.groupBy': { chrome: '117', firefox: '119', safari: '17.4', node: '21' },
+  'Symbol.asyncIterator': { chrome: '63', firefox: '57', safari: '11.1', node: '10' },
+  'Atomics.waitAsync': { chrome: '87', safari: '16.4', node: '16' },
+  'Array.prototype.findIndex': { chrome: '45', edge: '12', firefox: '25', safari: '8', node: '4' },
+  'Array.prototype.copyWithin': { chrome: '45', edge: '12', firefox: '32', safari: '9', node: '4' },
+  'Array.prototype.includes': { chrome: '47', edge: '14', firefox: '43', safari: '9', node: '6' },
+  'Array.prototype.flat': { chrome: '69', firefox: '62', safari: '12', node: '11' },
+  'Array.prototype.flatMap': { chrome: '69', firefox: '62', safari: '12', node: '11' },
+  'Array.prototype.at': AT,
+  'Array.prototype.findLast': { chrome: '97', firefox: '104', safari: '15.4', node: '18' },
+  'Array.prototype.findLastIndex': { chrome: '97', firefox: '104', safari: '15.4', node: '18' },
+  'Array.prototype.toReversed': { chrome: '110', firefox: '115', safari: '16', node: '20' },
+  'Array.prototype.toSorted': { chrome: '110', firefox: '115', safari: '16', node: '20' },
+  'Array.prototype.toSpliced': { chrome: '110', firefox: '115', safari: '16', node: '20' },
+  'String.prototype.codePointAt': { chrome: '41', edge: '12', firefox: '29', safari: '9', node: '4' },
+  'String.prototype.startsWith': { chrome: '41', edge: '12', firefox: '17', safari: '9', node: '4' },
+  'String.prototype.endsWith': { chrome: '41', edge: '12', firefox: '17', safari: '9', node: '4' },
+  'String.prototype.includes': { chrome: '41', edge: '12', firefox: '40', safari: '9', node: '4' },
+  'String.prototype.repeat': { chrome: '41', edge: '12', firefox: '24', safari: '9', node: '4' },
+  'String.prototype.padStart': { chrome: '57', edge: '15', firefox: '48', safari: '10', node: '8' },
+  'String.prototype.padEnd': { chrome: '57', edge: '15', firefox: '48', safari: '10', node: '8' },
+  'String.prototype.trimStart': { chrome: '66', firefox: '61', safari: '12', node: '10' },
+  'String.prototype.trimEnd': { chrome: '66', firefox: '61', safari: '12', node: '10' },
+  'String.prototype.matchAll': { chrome: '73', firefox: '67', safari: '13', node: '12' },
+  'String.prototype.replaceAll': { chrome: '85', firefox: '77', safari: '13.1', node: '15' },
+  'String.prototype.at': AT,
+  'String.prototype.isWellFormed': { chrome: '111', firefox: '119', safari: '16.4', node: '20' },
+  'String.prototype.toWellFormed': { chrome: '111', firefox: '119', safari: '16.4', node: '20' },
+  'Promise.prototype.finally': { chrome: '63', edge: '18', firefox: '58', safari: '11.1', node: '10' },
+};
+
+/**
+ * The minimum versions of the engines supporting all built-ins of each
+ * ECMAScript version, used for the built-ins not listed in `API_SUPPORT`.
+ */
+const ES_VERSION_SUPPORT = {
+  3: { chrome: '1', edge: '12', firefox: '1', safari: '1', node: '0.10', ie: '6' },
+  5: IE_ES5,
+  2015: { chrome: '51', edge: '15', firefox: '54', safari: '10', node: '6.5' },
+  2016: { chrome: '52', edge: '15', firefox: '54', safari: '10.1', node: '7' },
+  2017: { chrome: '58', edge: '16', firefox: '54', safari: '11', node: '8' },
+  2018: { chrome: '64', firefox: '78', safari: '16.4', node: '10' },
+  2019: { chrome: '73', firefox: '78', safari: '16.4', node: '12' },
+  2020: { chrome: '85', firefox: '80', safari: '16.4', node: '14.5' },
+  2021: { chrome: '85', firefox: '80', safari: '16.4', node: '15' },
+  2022: { chrome: '94', firefox: '93', safari: '16.4', node: '16.11' },
+  2023: { chrome: '110', firefox: '115', safari: '16.4', node: '20' },
+  2024: { chrome: '119', firefox: '121', safari: '17.4', node: '22' },
+  2025: { chrome: '136', firefox: '139', safari: '18.4', node: '24' },
+  2026: { chrome: '136', firefox: '141', node: '24' },
+};
+
+// The versions of Chrome which the versions of Samsung Internet are based on.
+const SAMSUNG_CHROME_VERSIONS = {
+  4: '44',
+  5: '51',
+  6: '56',
+  7: '59',
+  8: '63',
+  9: '67',
+  10: '71',
+  11: '75',
+  12: '79',
+  13: '83',
+  14: '87',
+  15: '90',
+  16: '92',
+  17: '96',
+  18: '99',
+  19: '102',
+  20: '106',
+  21: '110',
+  22: '111',
+  23: '115',
+  24: '117',
+  25: '121',
+  26: '122',
+  27: '125',
+  28: '130',
+};
+
+/**
+ * The engines of the browsers reported by browserslist, other than the engines
+ * themselves. Each entry is either the engine of all versions of the browser,
+ * or a function mapping a version of the browser to `[engine, version]`, or
+ * `null` if the version is not supported.
+ */
+const ENGINES = {
+  and_chr: 'chrome',
+  and_ff: 'firefox',
+  ios_saf: 'safari',
+  edge: (version) => (parseFloat(version) >= 79 ? ['chrome', version] : ['edge', version]),
+  opera: (version) => (parseFloat(version) >= 15 ? ['chrome', String(parseFloat(version) + 13)] : null),
+  op_mob: (version) => (parseFloat(version) >= 15 ? ['chrome', String(parseFloat(version) + 13)] : null),
+  android: (version) => (parseFloat(version) >= 37 ? ['chrome', version] : null),
+  samsung: (version) => {
+    const versions = Object.keys(SAMSUNG_CHROME_VERSIONS).map(Number);
+    const major = Math.min(Math.floor(parseFloat(version)), Math.max(...versions));
+    return (major >= versions[0] ? ['chrome', SAMSUNG_CHROME_VERSIONS[major]] : null);
+  },
+  and_uc: () => ['chrome', '78'],
+  and_qq: () => ['chrome', '89'],
+  baidu: () => ['chrome', '76'],
+  kaios: (version) => (parseFloat(version) >= 3 ? ['firefox', '84'] : ['firefox', '48']),
+};
+
+module.exports = {
+  FEATURE_SUPPORT,
+  API_SUPPORT,
+  ES_VERSION_SUPPORT,
+  ENGINES,
+};
@@ -0,0 +1,123 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+// the maximum number of dependency paths found for a package, since the number
+// of paths could grow exponentially in a deep dependency tree.
+const MAX_DEPENDENCY_PATHS = 100;
+
+/**
+ * Records that a package depends on another package, where the packages are
+ * labeled as in the results, and `peer` tells whether the dependency is a peer
+ * dependency.
+ */
+function addDependent(dependents, name, dependent, peer) {
+  if (!dependents.has(name)) {
+    dependents.set(name, []);
+  }
+  const edges = dependents.get(name);
+  if (!edges.some((edge) => edge.name === dependent)) {
+    edges.push({ name: dependent, peer });
+  }
+}
+
+function comparePaths(x, y) {
+  if (x.length !== y.length) {
+    return x.length - y.length;
+  }
+  const xs = x.map((step) => step.name).join('\n');
+  const ys = y.map((step) => step.name).join('\n');
+  return (xs < ys ? -1 : (xs > ys ? 1 : 0));
+}
+
+/**
+ * Finds the paths from the root packages to a package in the dependency tree
+ * traversed by the check, through the `dependencies` and, if checked, the
+ * `peerDependencies` of the packages. A path never visits a package twice, and
+ * ends at the first root package reached, e.g., a workspace package depended
+ * on by another one.
+ *
+ * @param dependents
+ *     the map from the label of each package to the packages depending on it,
+ *     see `addDependent()`.
+ * @param roots
+ *     the set of the labels of the root packages.
+ * @param name
+ *     the label of the package.
+ * @return
+ *     an object `{ paths, truncated }`, where `paths` is the array of paths
+ *     from the shortest, each of which is the array of `{ name, peer }` from
+ *     a root package to the package, where `peer` tells whether the package
+ *     is a peer dependency of the previous one; and `truncated` tells whether
+ *     more than `MAX_DEPENDENCY_PATHS` paths are found, of which the rest are
+ *     omitted.
+ */
+function findDependencyPaths(dependents, roots, name) {
+  const paths = [];
+  let truncated = false;
+  const visiting = new Set();
+  // walks from the package back to the root, with the steps in reverse order
+  const walk = (current, steps) => {
+    if (roots.has(current)) {
+      if (paths.length < MAX_DEPENDENCY_PATHS) {
+        paths.push([{ name: current, peer: false }].concat(steps.slice().reverse()));
+      } else {
+        truncated = true;
+      }
+      return;
+    }
+    visiting.add(current);
+    (dependents.get(current) || []).forEach((edge) => {
+      if (!visiting.has(edge.name) && !truncated) {
+        steps.push({ name: current, peer: edge.peer });
+        walk(edge.name, steps);
+        steps.pop();
+      }
+    });
+    visiting.delete(current);
+  };
+  walk(name, []);
+  return { paths: paths.sort(comparePaths), truncated };
+}
+
+/**
+ * Finds all packages in the dependency tree of a package traversed by the
+ * check, including the package itself.
+ *
+ * @return
+ *     the array of the labels of the packages, in the breadth-first order.
+ */
+function findDependencies(dependents, root) {
+  const dependencies = new Map();
+  dependents.forEach((edges, name) => {
+    edges.forEach((edge) => {
+      if (!dependencies.has(edge.name)) {
+        dependencies.set(edge.name, []);
+      }
+      dependencies.get(edge.name).push(name);
+    });
+  });
+  const found = new Set([root]);
+  const queue = [root];
+  while (queue.length > 0) {
+    (dependencies.get(queue.shift()) || []).forEach((name) => {
+      if (!found.has(name)) {
+        found.add(name);
+        queue.push(name);
+      }
+    });
+  }
+  return Array.from(found);
+}
+
+module.exports = {
+  MAX_DEPENDENCY_PATHS,
+  addDependent,
+  findDependencyPaths,
+  findDependencies,
+};
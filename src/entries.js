@@ -0,0 +1,225 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, relative, extname, sep } = require('path');
+const fs = require('fs');
+
+const DEFAULT_CONDITIONS = ['node', 'require', 'default'];
+const ENTRY_FILE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.css', '.less', '.scss', '.style'];
+const MAIN_FILE_SUFFIXES = ['', '.js', '.json', '.node', '/index.js', '/index.json', '/index.node'];
+
+function isFile(path) {
+  try {
+    return fs.statSync(path).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function toRelativePath(packagePath, file) {
+  return `./${relative(packagePath, file).split(sep).join('/')}`;
+}
+
+// Resolves the file of the "main", "module" or "browser" field in the same way
+// as the legacy CommonJS resolution, i.e., tries the file extensions and the
+// index file of a directory.
+function resolveMainFile(packagePath, main) {
+  for (const suffix of MAIN_FILE_SUFFIXES) {
+    const file = resolve(packagePath, main + suffix);
+    if (isFile(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+// Applies the replacements of the object form of the "browser" field. Returns
+// `false` if the file is replaced by an empty module.
+function applyBrowserReplacement(packagePath, pkg, file) {
+  if (!pkg.browser || typeof pkg.browser !== 'object') {
+    return file;
+  }
+  for (const [from, to] of Object.entries(pkg.browser)) {
+    if (from.startsWith('.') && resolveMainFile(packagePath, from) === file) {
+      return (to === false ? false : (resolveMainFile(packagePath, to) || resolve(packagePath, to)));
+    }
+  }
+  return file;
+}
+
+function resolveMainEntry(packagePath, pkg, conditions) {
+  let field;
+  if (conditions.includes('browser') && typeof pkg.browser === 'string') {
+    field = 'browser';
+  } else if ((conditions.includes('import') || conditions.includes('module')) && pkg.module) {
+    field = 'module';
+  } else {
+    field = 'main';
+  }
+  const main = (field === 'main' ? (pkg.main || 'index.js') : pkg[field]);
+  let file = resolveMainFile(packagePath, main);
+  if (file && conditions.includes('browser')) {
+    file = applyBrowserReplacement(packagePath, pkg, file);
+    if (file === false) {
+      return [];
+    }
+  }
+  return [{ subpath: '.', field, file: file || resolve(packagePath, main) }];
+}
+
+/**
+ * Resolves a conditional export target with the list of conditions, in the same
+ * way as Node.js does: the first condition in the object order matching the
+ * list, or the "default" condition, is chosen.
+ */
+function resolveTarget(target, conditions) {
+  if (typeof target === 'string') {
+    return target;
+  }
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const result = resolveTarget(item, conditions);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    for (const key of Object.keys(target)) {
+      if (key === 'default' || conditions.includes(key)) {
+        const result = resolveTarget(target[key], conditions);
+        if (result) {
+          return result;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function normalizeExports(exports) {
+  if (typeof exports === 'string' || Array.isArray(exports)) {
+    return { '.': exports };
+  }
+  if (exports && typeof exports === 'object'
+      && !Object.keys(exports).some((key) => key.startsWith('.'))) {
+    return { '.': exports };
+  }
+  return exports || {};
+}
+
+function listFiles(dir, result = []) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    return result;
+  }
+  for (const name of names) {
+    if (name === 'node_modules') {
+      continue;
+    }
+    const path = resolve(dir, name);
+    if (isFile(path)) {
+      result.push(path);
+    } else {
+      listFiles(path, result);
+    }
+  }
+  return result;
+}
+
+// Expands a subpath pattern, e.g., "./features/*": "./src/features/*.js", to
+// the list of matched files in the package.
+function expandPattern(packagePath, subpath, target, excluded) {
+  const [targetPrefix, targetSuffix] = target.split('*');
+  const baseDir = resolve(packagePath, targetPrefix.slice(0, targetPrefix.lastIndexOf('/') + 1));
+  const entries = [];
+  for (const file of listFiles(baseDir).sort()) {
+    const relativePath = toRelativePath(packagePath, file);
+    if (relativePath.startsWith(targetPrefix)
+        && relativePath.endsWith(targetSuffix)
+        && relativePath.length >= targetPrefix.length + targetSuffix.length) {
+      const match = relativePath.slice(targetPrefix.length, relativePath.length - targetSuffix.length);
+      const matchedSubpath = subpath.replace('*', match);
+      if (!excluded(matchedSubpath)) {
+        entries.push({ subpath: matchedSubpath, field: 'exports', file });
+      }
+    }
+  }
+  return entries;
+}
+
+function matchesPattern(pattern, subpath) {
+  if (!pattern.includes('*')) {
+    return pattern === subpath;
+  }
+  const [prefix, suffix] = pattern.split('*');
+  return subpath.startsWith(prefix) && subpath.endsWith(suffix)
+    && subpath.length >= prefix.length + suffix.length;
+}
+
+function resolveExportsEntries(packagePath, exports, conditions) {
+  const subpaths = normalizeExports(exports);
+  const keys = Object.keys(subpaths);
+  const excludedPatterns = keys.filter((key) => subpaths[key] === null);
+  const excluded = (subpath) => excludedPatterns.some((pattern) => matchesPattern(pattern, subpath));
+  const entries = [];
+  for (const subpath of keys) {
+    const target = resolveTarget(subpaths[subpath], conditions);
+    if (!target || !target.startsWith('./') || subpath.endsWith('/')) {
+      continue;
+    }
+    if (subpath.includes('*')) {
+      entries.push(...expandPattern(packagePath, subpath, target, excluded));
+    } else if (!excluded(subpath)) {
+      entries.push({ subpath, field: 'exports', file: resolve(packagePath, target) });
+    }
+  }
+  return entries.filter((entry) => ENTRY_FILE_EXTENSIONS.includes(extname(entry.file)));
+}
+
+/**
+ * Resolves all entry points of a package selected by the list of resolution
+ * conditions.
+ *
+ * If the package has the "exports" field, every subpath export is an entry
+ * point, including the files matched by the subpath patterns. Otherwise, the
+ * entry point is chosen from the "browser" (if the "browser" condition is
+ * specified), "module" (if the "import" or "module" condition is specified)
+ * and "main" fields, in that order, as bundlers do.
+ *
+ * Returns an array of entries `{ subpath, field, file }`, where `file` is the
+ * absolute path of the entry file, which may not exist.
+ */
+function resolveEntries(packagePath, pkg, conditions = DEFAULT_CONDITIONS) {
+  if (pkg.exports !== undefined && pkg.exports !== null) {
+    return resolveExportsEntries(packagePath, pkg.exports, conditions);
+  }
+  return resolveMainEntry(packagePath, pkg, conditions);
+}
+
+/**
+ * Gets the description of an entry point used in the output, e.g.,
+ * `./feature (./lib/feature.js)`.
+ */
+function describeEntry(packagePath, entry) {
+  const file = toRelativePath(packagePath, entry.file);
+  return (entry.subpath === '.' && entry.field === 'main' ? file : `${entry.subpath} (${file})`);
+}
+
+module.exports = {
+  DEFAULT_CONDITIONS,
+  toRelativePath,
+  resolveMainFile,
+  resolveTarget,
+  applyBrowserReplacement,
+  resolveEntries,
+  describeEntry,
+};
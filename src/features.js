@@ -0,0 +1,509 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { ESM_ES_VERSION, normalizeEsVersion, hasModuleSyntax, parseCode } = require('./parser');
+
+/**
+ * The language features detected in the AST, and the ECMAScript versions
+ * introducing them. ES3 and ES5 are represented as 3 and 5, and other versions
+ * are represented as years.
+ */
+const FEATURES = {
+  ACCESSORS: { name: 'getters and setters', version: 5 },
+  RESERVED_PROPERTY_NAMES: { name: 'reserved words as property names', version: 5 },
+  LET_CONST: { name: 'let and const declarations', version: 2015 },
+  ARROW_FUNCTIONS: { name: 'arrow functions', version: 2015 },
+  CLASSES: { name: 'classes', version: 2015 },
+  SUPER: { name: 'super', version: 2015 },
+  NEW_TARGET: { name: 'new.target', version: 2015 },
+  GENERATORS: { name: 'generators', version: 2015 },
+  TEMPLATE_LITERALS: { name: 'template literals', version: 2015 },
+  FOR_OF: { name: 'for...of loops', version: 2015 },
+  DESTRUCTURING: { name: 'destructuring', version: 2015 },
+  DEFAULT_VALUES: { name: 'default parameters and values', version: 2015 },
+  REST: { name: 'rest parameters and elements', version: 2015 },
+  SPREAD: { name: 'spread syntax', version: 2015 },
+  SHORTHAND_PROPERTIES: { name: 'shorthand properties', version: 2015 },
+  METHOD_DEFINITIONS: { name: 'method definitions', version: 2015 },
+  COMPUTED_PROPERTIES: { name: 'computed property names', version: 2015 },
+  BINARY_OCTAL_LITERALS: { name: 'binary and octal literals', version: 2015 },
+  UNICODE_CODE_POINT_ESCAPES: { name: 'unicode code point escapes', version: 2015 },
+  REGEXP_STICKY_UNICODE: { name: 'regular expression flags "y" and "u"', version: 2015 },
+  MODULES: { name: 'ES modules', version: 2015 },
+  EXPONENTIATION: { name: 'exponentiation operator', version: 2016 },
+  ASYNC_FUNCTIONS: { name: 'async functions', version: 2017 },
+  ASYNC_GENERATORS: { name: 'async generators', version: 2018 },
+  FOR_AWAIT: { name: 'for await...of loops', version: 2018 },
+  OBJECT_REST: { name: 'object rest properties', version: 2018 },
+  OBJECT_SPREAD: { name: 'object spread properties', version: 2018 },
+  REGEXP_DOT_ALL: { name: 'regular expression flag "s"', version: 2018 },
+  REGEXP_LOOKBEHIND: { name: 'regular expression lookbehind assertions', version: 2018 },
+  REGEXP_NAMED_GROUPS: { name: 'regular expression named capture groups', version: 2018 },
+  REGEXP_UNICODE_PROPERTIES: { name: 'regular expression unicode property escapes', version: 2018 },
+  OPTIONAL_CATCH_BINDING: { name: 'optional catch binding', version: 2019 },
+  OPTIONAL_CHAINING: { name: 'optional chaining', version: 2020 },
+  NULLISH_COALESCING: { name: 'nullish coalescing', version: 2020 },
+  BIGINT_LITERALS: { name: 'BigInt literals', version: 2020 },
+  DYNAMIC_IMPORT: { name: 'dynamic import', version: 2020 },
+  IMPORT_META: { name: 'import.meta', version: 2020 },
+  EXPORT_NAMESPACE: { name: 'export * as namespace', version: 2020 },
+  LOGICAL_ASSIGNMENT: { name: 'logical assignment operators', version: 2021 },
+  NUMERIC_SEPARATORS: { name: 'numeric separators', version: 2021 },
+  CLASS_FIELDS: { name: 'class fields', version: 2022 },
+  PRIVATE_MEMBERS: { name: 'private methods and fields', version: 2022 },
+  CLASS_STATIC_BLOCKS: { name: 'class static blocks', version: 2022 },
+  TOP_LEVEL_AWAIT: { name: 'top-level await', version: 2022 },
+  REGEXP_MATCH_INDICES: { name: 'regular expression flag "d"', version: 2022 },
+  REGEXP_UNICODE_SETS: { name: 'regular expression flag "v"', version: 2024 },
+  IMPORT_ATTRIBUTES: { name: 'import attributes', version: 2025 },
+  REGEXP_MODIFIERS: { name: 'regular expression modifiers', version: 2025 },
+  USING_DECLARATIONS: { name: 'using declarations', version: 2026 },
+};
+
+// The reserved words of ES3, which cannot be used as property names before ES5.
+const ES3_RESERVED_WORDS = [
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+  'const', 'continue', 'debugger', 'default', 'delete', 'do', 'double', 'else',
+  'enum', 'export', 'extends', 'false', 'final', 'finally', 'float', 'for',
+  'function', 'goto', 'if', 'implements', 'import', 'in', 'instanceof', 'int',
+  'interface', 'long', 'native', 'new', 'null', 'package', 'private',
+  'protected', 'public', 'return', 'short', 'static', 'super', 'switch',
+  'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try',
+  'typeof', 'var', 'void', 'volatile', 'while', 'with',
+];
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+function detectFunctionFeatures(node) {
+  if (node.async && node.generator) {
+    return [FEATURES.ASYNC_GENERATORS];
+  }
+  if (node.generator) {
+    return [FEATURES.GENERATORS];
+  }
+  return (node.async ? [FEATURES.ASYNC_FUNCTIONS] : []);
+}
+
+function detectRegExpFeatures(regex) {
+  const features = [];
+  const { pattern, flags } = regex;
+  if (/[yu]/.test(flags)) {
+    features.push(FEATURES.REGEXP_STICKY_UNICODE);
+  }
+  if (flags.includes('s')) {
+    features.push(FEATURES.REGEXP_DOT_ALL);
+  }
+  if (flags.includes('d')) {
+    features.push(FEATURES.REGEXP_MATCH_INDICES);
+  }
+  if (flags.includes('v')) {
+    features.push(FEATURES.REGEXP_UNICODE_SETS);
+  }
+  if (/\(\?<[=!]/.test(pattern)) {
+    features.push(FEATURES.REGEXP_LOOKBEHIND);
+  }
+  if (/\(\?<[^=!]/.test(pattern)) {
+    features.push(FEATURES.REGEXP_NAMED_GROUPS);
+  }
+  if (/[uv]/.test(flags) && /\\[pP]\{/.test(pattern)) {
+    features.push(FEATURES.REGEXP_UNICODE_PROPERTIES);
+  }
+  if (/\(\?[ims]*-?[ims]+:/.test(pattern)) {
+    features.push(FEATURES.REGEXP_MODIFIERS);
+  }
+  return features;
+}
+
+function detectLiteralFeatures(node) {
+  if (node.regex) {
+    return detectRegExpFeatures(node.regex);
+  }
+  if (node.bigint !== undefined) {
+    return [FEATURES.BIGINT_LITERALS];
+  }
+  const features = [];
+  if (typeof node.value === 'number') {
+    if (/^0[bBoO]/.test(node.raw)) {
+      features.push(FEATURES.BINARY_OCTAL_LITERALS);
+    }
+    if (node.raw.includes('_')) {
+      features.push(FEATURES.NUMERIC_SEPARATORS);
+    }
+  } else if (typeof node.value === 'string' && /\\u\{/.test(node.raw)) {
+    features.push(FEATURES.UNICODE_CODE_POINT_ESCAPES);
+  }
+  return features;
+}
+
+function detectPropertyFeatures(node, parent) {
+  if (parent.type !== 'ObjectExpression') {
+    return [];
+  }
+  const features = [];
+  if (node.kind === 'get' || node.kind === 'set') {
+    features.push(FEATURES.ACCESSORS);
+  } else if (node.method) {
+    features.push(FEATURES.METHOD_DEFINITIONS);
+  } else if (node.shorthand) {
+    features.push(FEATURES.SHORTHAND_PROPERTIES);
+  }
+  if (node.computed) {
+    features.push(FEATURES.COMPUTED_PROPERTIES);
+  } else if (node.key.type === 'Identifier' && ES3_RESERVED_WORDS.includes(node.key.name)) {
+    features.push(FEATURES.RESERVED_PROPERTY_NAMES);
+  }
+  return features;
+}
+
+/**
+ * Detects the language features used by an AST node itself, not including the
+ * features used by its child nodes.
+ *
+ * @param node
+ *     the AST node.
+ * @param ancestors
+ *     the ancestors of the node, from the root to the node itself.
+ * @return
+ *     the array of the detected features.
+ */
+function detectNodeFeatures(node, ancestors) {
+  const parent = ancestors[ancestors.length - 2] || {};
+  switch (node.type) {
+    case 'VariableDeclaration':
+      if (node.kind === 'let' || node.kind === 'const') {
+        return [FEATURES.LET_CONST];
+      }
+      return (node.kind === 'var' ? [] : [FEATURES.USING_DECLARATIONS]);
+    case 'ArrowFunctionExpression':
+      return [FEATURES.ARROW_FUNCTIONS, ...detectFunctionFeatures(node)];
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+      return detectFunctionFeatures(node);
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return [FEATURES.CLASSES];
+    case 'PropertyDefinition':
+      if (node.key.type === 'PrivateIdentifier') {
+        return [FEATURES.CLASS_FIELDS, FEATURES.PRIVATE_MEMBERS];
+      }
+      return [FEATURES.CLASS_FIELDS];
+    case 'MethodDefinition':
+      return (node.key.type === 'PrivateIdentifier' ? [FEATURES.PRIVATE_MEMBERS] : []);
+    case 'PrivateIdentifier':
+      return [FEATURES.PRIVATE_MEMBERS];
+    case 'StaticBlock':
+      return [FEATURES.CLASS_STATIC_BLOCKS];
+    case 'Super':
+      return [FEATURES.SUPER];
+    case 'MetaProperty':
+      return [node.meta.name === 'import' ? FEATURES.IMPORT_META : FEATURES.NEW_TARGET];
+    case 'TemplateLiteral':
+      return [FEATURES.TEMPLATE_LITERALS];
+    case 'ForOfStatement':
+      return [node.await ? FEATURES.FOR_AWAIT : FEATURES.FOR_OF];
+    case 'ObjectPattern':
+      // the rest elements of object patterns are not visited by acorn-walk
+      if (node.properties.some((property) => property.type === 'RestElement')) {
+        return [FEATURES.DESTRUCTURING, FEATURES.OBJECT_REST];
+      }
+      return [FEATURES.DESTRUCTURING];
+    case 'ArrayPattern':
+      return [FEATURES.DESTRUCTURING];
+    case 'AssignmentPattern':
+      return [FEATURES.DEFAULT_VALUES];
+    case 'RestElement':
+      return [FEATURES.REST];
+    case 'SpreadElement':
+      return [parent.type === 'ObjectExpression' ? FEATURES.OBJECT_SPREAD : FEATURES.SPREAD];
+    case 'Property':
+      return detectPropertyFeatures(node, parent);
+    case 'MemberExpression':
+      if (node.property.type === 'PrivateIdentifier') {
+        return [FEATURES.PRIVATE_MEMBERS];
+      }
+      if (!node.computed && node.property.type === 'Identifier'
+          && ES3_RESERVED_WORDS.includes(node.property.name)) {
+        return [FEATURES.RESERVED_PROPERTY_NAMES];
+      }
+      return [];
+    case 'Literal':
+      return detectLiteralFeatures(node);
+    case 'BinaryExpression':
+      return (node.operator === '**' ? [FEATURES.EXPONENTIATION] : []);
+    case 'AssignmentExpression':
+      if (node.operator === '**=') {
+        return [FEATURES.EXPONENTIATION];
+      }
+      return (['||=', '&&=', '??='].includes(node.operator) ? [FEATURES.LOGICAL_ASSIGNMENT] : []);
+    case 'LogicalExpression':
+      return (node.operator === '??' ? [FEATURES.NULLISH_COALESCING] : []);
+    case 'ChainExpression':
+      return [FEATURES.OPTIONAL_CHAINING];
+    case 'CatchClause':
+      return (node.param ? [] : [FEATURES.OPTIONAL_CATCH_BINDING]);
+    case 'AwaitExpression':
+      return (ancestors.some((ancestor) => FUNCTION_TYPES.includes(ancestor.type)) ? [] : [FEATURES.TOP_LEVEL_AWAIT]);
+    case 'ImportExpression':
+      return (node.options ? [FEATURES.DYNAMIC_IMPORT, FEATURES.IMPORT_ATTRIBUTES] : [FEATURES.DYNAMIC_IMPORT]);
+    case 'ImportDeclaration':
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration':
+    case 'ExportAllDeclaration': {
+      const features = [FEATURES.MODULES];
+      if (node.type === 'ExportAllDeclaration' && node.exported) {
+        features.push(FEATURES.EXPORT_NAMESPACE);
+      }
+      if (node.attributes && node.attributes.length > 0) {
+        features.push(FEATURES.IMPORT_ATTRIBUTES);
+      }
+      return features;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Finds all usages of the language features newer than the specified
+ * ECMAScript version in an AST.
+ *
+ * @param ast
+ *     the AST parsed by acorn with the option `locations: true`.
+ * @param esVersion
+ *     the ECMAScript version.
+ * @return
+ *     the array of usages `{ feature, node }`, in the order of their positions.
+ */
+function findFeatures(ast, esVersion) {
+  const version = normalizeEsVersion(esVersion);
+  const usages = [];
+  walk.fullAncestor(ast, (node, state, ancestors) => {
+    for (const feature of detectNodeFeatures(node, ancestors)) {
+      if (feature.version > version) {
+        usages.push({ feature, node });
+      }
+    }
+  });
+  return usages.sort((x, y) => x.node.start - y.node.start);
+}
+
+// Finds the usages of features violating the ECMAScript version. The
+// import/export declarations are not violations, since they are removed before
+// parsing with the versions not supporting them, and reported separately.
+function findViolatingFeatures(ast, esVersion) {
+  return findFeatures(ast, esVersion).filter((usage) => usage.feature !== FEATURES.MODULES);
+}
+
+/**
+ * Finds the language feature causing a parsing error, i.e., the innermost
+ * usage of a feature newer than the specified ECMAScript version containing
+ * the position of the error, or the nearest usage before the position.
+ *
+ * Returns the usage `{ feature, node }`, or `null` if not found.
+ */
+function findFeatureAt(ast, pos, esVersion) {
+  const usages = findViolatingFeatures(ast, esVersion);
+  let result = null;
+  for (const usage of usages) {
+    const { node } = usage;
+    if (node.start <= pos && pos <= node.end) {
+      if (!result || result.node.end < pos || (node.end - node.start) <= (result.node.end - result.node.start)) {
+        result = usage;
+      }
+    } else if (node.start <= pos && (!result || result.node.end < pos)) {
+      result = usage;
+    }
+  }
+  return result || usages[0] || null;
+}
+
+const ES_VERSIONS = [3, 5, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026];
+
+/**
+ * Finds the minimum ECMAScript version supported by acorn, with which the code
+ * could be parsed.
+ *
+ * Returns the version, or `null` if the code cannot be parsed with any version.
+ */
+function findMinimumVersion(code, sourceType) {
+  for (const ecmaVersion of ES_VERSIONS) {
+    if (sourceType === 'module' && ecmaVersion < 2015) {
+      continue;
+    }
+    try {
+      acorn.parse(code, { ecmaVersion, sourceType });
+      return ecmaVersion;
+    } catch (error) {
+      // try the next version
+    }
+  }
+  return null;
+}
+
+/**
+ * Detects the minimum ECMAScript version with which the code of a file could be
+ * parsed, i.e., parsed by `parseCode()` without removing the import/export
+ * declarations. Hence the ES modules require at least ES2015.
+ *
+ * @param code
+ *     the source code.
+ * @param scriptPath
+ *     the path of the file.
+ * @param ast
+ *     the AST of the code, or `null` if unknown. It is used to guess the
+ *     version from the detected features, which saves most of the parsing.
+ * @return
+ *     the minimum ECMAScript version, or `null` if the code cannot be parsed
+ *     with any version.
+ */
+function detectVersion(code, scriptPath, ast) {
+  let candidate = ES_VERSIONS[0];
+  if (ast) {
+    for (const { feature } of findViolatingFeatures(ast, candidate)) {
+      candidate = Math.max(candidate, feature.version);
+    }
+    if (hasModuleSyntax(ast)) {
+      candidate = Math.max(candidate, ESM_ES_VERSION);
+    }
+  }
+  for (const version of ES_VERSIONS) {
+    if (version < candidate) {
+      continue;
+    }
+    try {
+      // the ESM syntax removed before parsing requires ES2015
+      if (!parseCode(code, scriptPath, version).esm) {
+        return version;
+      }
+    } catch (error) {
+      // try the next version
+    }
+  }
+  return null;
+}
+
+/**
+ * Identifies the language feature causing a parsing error.
+ *
+ * @param code
+ *     the source code.
+ * @param ast
+ *     the AST of the code parsed with the latest ECMAScript version, or `null`
+ *     if the code cannot be parsed.
+ * @param error
+ *     the parsing error thrown by acorn.
+ * @param esVersion
+ *     the ECMAScript version used to parse the code.
+ * @return
+ *     an object `{ name, version }`, where `name` is the name of the feature, or
+ *     `null` if the feature is unknown but the code could be parsed with the
+ *     newer `version`; or `null` if nothing could be identified.
+ */
+function identifyFeature(code, ast, error, esVersion) {
+  if (!ast) {
+    return null;
+  }
+  const usage = (error.pos === undefined ? null : findFeatureAt(ast, error.pos, esVersion));
+  if (usage) {
+    return { name: usage.feature.name, version: usage.feature.version };
+  }
+  const version = findMinimumVersion(code, ast.sourceType);
+  return (version ? { name: null, version } : null);
+}
+
+/**
+ * Finds all violations of the ECMAScript version in a file, i.e., the usages of
+ * all language features newer than the version, instead of only the first
+ * parsing error.
+ *
+ * @param code
+ *     the source code.
+ * @param ast
+ *     the AST of the code parsed with the latest ECMAScript version and the
+ *     option `locations: true`, or `null` if the code cannot be parsed.
+ * @param error
+ *     the parsing error thrown by acorn when parsing with the ECMAScript version.
+ * @param esVersion
+ *     the ECMAScript version.
+ * @return
+ *     the array of violations `{ feature, line, column }`, in the order of their
+ *     positions. The parsing error itself is also a violation if its feature
+ *     is unknown.
+ */
+function findViolations(code, ast, error, esVersion) {
+  const violations = (ast ? findViolatingFeatures(ast, esVersion) : []).map(({ feature, node }) => ({
+    feature: { name: feature.name, version: feature.version },
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+  }));
+  const feature = identifyFeature(code, ast, error, esVersion);
+  if ((!feature || !feature.name) && error.loc) {
+    violations.push({ feature, line: error.loc.line, column: error.loc.column });
+    violations.sort((x, y) => (x.line - y.line) || (x.column - y.column));
+  }
+  return violations;
+}
+
+/**
+ * Counts the violations by their features.
+ *
+ * Returns an array of `{ feature, count }`, sorted by the ECMAScript versions
+ * and the names of the features.
+ */
+function countViolationsByFeature(violations) {
+  const counts = new Map();
+  for (const violation of violations) {
+    const feature = violation.feature || { name: null, version: null };
+    const key = `${feature.version}:${feature.name}`;
+    if (counts.has(key)) {
+      counts.get(key).count++;
+    } else {
+      counts.set(key, { feature, count: 1 });
+    }
+  }
+  return Array.from(counts.values()).sort((x, y) => ((x.feature.version || 0) - (y.feature.version || 0))
+    || String(x.feature.name).localeCompare(String(y.feature.name)));
+}
+
+/**
+ * Gets the display name of an ECMAScript version, e.g., "ES5", "ES2020".
+ */
+function formatEsVersion(esVersion) {
+  return `ES${normalizeEsVersion(esVersion)}`;
+}
+
+/**
+ * Gets the display name of a feature, e.g., "optional chaining, ES2020".
+ */
+function formatFeature(feature) {
+  if (!feature) {
+    return 'unknown feature';
+  }
+  if (feature.name) {
+    return `${feature.name}, ${formatEsVersion(feature.version)}`;
+  }
+  return `requires ${formatEsVersion(feature.version)}`;
+}
+
+module.exports = {
+  FEATURES,
+  ES_VERSIONS,
+  detectNodeFeatures,
+  findFeatures,
+  findViolatingFeatures,
+  findFeatureAt,
+  findMinimumVersion,
+  detectVersion,
+  identifyFeature,
+  findViolations,
+  countViolationsByFeature,
+  formatEsVersion,
+  formatFeature,
+};
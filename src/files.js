@@ -0,0 +1,122 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, relative, sep } = require('path');
+const fs = require('fs');
+const picomatch = require('picomatch');
+
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+function toPosixPath(path) {
+  return path.split(sep).join('/');
+}
+
+/**
+ * Creates the filter of files from the glob patterns, e.g.,
+ * `['dist/**\/*.{js,mjs}', '!**\/*.map']`. The patterns starting with `!` are
+ * the exclude patterns. A file is accepted if it matches any include pattern,
+ * or `defaultFilter` if there is no include pattern, and matches no exclude
+ * pattern.
+ *
+ * @param patterns
+ *     the array of glob patterns, matched against the paths relative to the
+ *     scanned directory.
+ * @param defaultFilter
+ *     the function testing a path if there is no include pattern.
+ * @return
+ *     the function testing a relative path.
+ */
+function createFileFilter(patterns, defaultFilter) {
+  const includes = patterns.filter((pattern) => !pattern.startsWith('!'));
+  const excludes = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => pattern.slice(1));
+  const isIncluded = (includes.length > 0 ? picomatch(includes, { dot: true }) : defaultFilter);
+  const isExcluded = (excludes.length > 0 ? picomatch(excludes, { dot: true }) : () => false);
+  return (path) => isIncluded(path) && !isExcluded(path);
+}
+
+/**
+ * Creates the filter of the subdirectories to scan from the glob patterns of
+ * `createFileFilter()`. A subdirectory is skipped if it matches any exclude
+ * pattern, e.g., `!legacy/**`.
+ *
+ * @return
+ *     the function testing the path of a subdirectory relative to the scanned
+ *     directory.
+ */
+function createDirectoryFilter(patterns) {
+  const excludes = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => pattern.slice(1));
+  const isExcluded = (excludes.length > 0 ? picomatch(excludes, { dot: true }) : () => false);
+  return (path) => !isExcluded(path);
+}
+
+/**
+ * Finds the files in a directory and all its subdirectories recursively,
+ * except the `node_modules` directories.
+ *
+ * @param dir
+ *     the directory to scan.
+ * @param filter
+ *     the function testing the path of a file relative to `dir`, with the `/`
+ *     separators.
+ * @param directoryFilter
+ *     the function testing the path of a subdirectory relative to `dir`, with
+ *     the `/` separators. The subdirectories not accepted are not scanned.
+ * @return
+ *     an object `{ files, unreadable }`, where `files` is the sorted array of
+ *     the absolute paths of the accepted files, and `unreadable` is the sorted
+ *     array of the absolute paths of the accepted subdirectories which cannot
+ *     be read.
+ * @throws Error
+ *     if the directory cannot be read.
+ */
+function findFiles(dir, filter, directoryFilter = () => true) {
+  const root = resolve(dir);
+  const files = [];
+  const unreadable = [];
+  const visited = new Set();
+  const walk = (path) => {
+    const realPath = fs.realpathSync(path);
+    if (visited.has(realPath)) {
+      return;
+    }
+    visited.add(realPath);
+    const entries = fs.readdirSync(path, { withFileTypes: true })
+      .sort((x, y) => (x.name < y.name ? -1 : (x.name > y.name ? 1 : 0)));
+    for (const entry of entries) {
+      const child = resolve(path, entry.name);
+      let isDirectory = entry.isDirectory();
+      if (entry.isSymbolicLink()) {
+        try {
+          isDirectory = fs.statSync(child).isDirectory();
+        } catch (error) {
+          continue;                   // ignores the broken links
+        }
+      }
+      if (!isDirectory) {
+        if (filter(toPosixPath(relative(root, child)))) {
+          files.push(child);
+        }
+      } else if (!IGNORED_DIRECTORIES.includes(entry.name) && directoryFilter(toPosixPath(relative(root, child)))) {
+        try {
+          walk(child);
+        } catch (error) {
+          unreadable.push(child);
+        }
+      }
+    }
+  };
+  walk(root);
+  return { files, unreadable };
+}
+
+module.exports = {
+  toPosixPath,
+  createFileFilter,
+  createDirectoryFilter,
+  findFiles,
+};
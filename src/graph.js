@@ -0,0 +1,99 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, dirname, relative, isAbsolute, extname } = require('path');
+const walk = require('acorn-walk');
+const { resolveMainFile, resolveTarget, applyBrowserReplacement } = require('./entries');
+
+const SCRIPT_FILE_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+
+function getStringValue(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Collects the static module specifiers of a parsed file, i.e., the string
+ * arguments of `require()` and `import()`, and the sources of the
+ * `import`, `export ... from` declarations.
+ */
+function collectSpecifiers(ast) {
+  const specifiers = new Set();
+  const add = (node) => {
+    const value = getStringValue(node);
+    if (value) {
+      specifiers.add(value);
+    }
+  };
+  walk.full(ast, (node) => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+      case 'ImportExpression':
+        add(node.source);
+        break;
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier'
+            && node.callee.name === 'require'
+            && node.arguments.length === 1) {
+          add(node.arguments[0]);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+  return Array.from(specifiers);
+}
+
+function isInside(packagePath, file) {
+  const path = relative(packagePath, file);
+  return !path.startsWith('..') && !isAbsolute(path) && !path.split(/[\\/]/).includes('node_modules');
+}
+
+/**
+ * Resolves a module specifier to a file in the same package. Only the relative
+ * specifiers, e.g., `./lib/impl`, and the package internal imports, e.g.,
+ * `#internal`, are resolved, since other packages are checked as the
+ * dependencies.
+ *
+ * Returns the absolute path of the resolved file, or `null` if the specifier
+ * does not refer to an existing script file in the package.
+ */
+function resolveLocalSpecifier(specifier, fromFile, packagePath, packageInfo, conditions) {
+  let file = null;
+  if (specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..') {
+    file = resolveMainFile(dirname(fromFile), specifier);
+  } else if (specifier.startsWith('#') && packageInfo.imports) {
+    const target = resolveTarget(packageInfo.imports[specifier], conditions);
+    if (target && target.startsWith('./')) {
+      file = resolveMainFile(packagePath, target);
+    }
+  }
+  if (file && conditions.includes('browser')) {
+    file = applyBrowserReplacement(packagePath, packageInfo, file);
+  }
+  if (!file || !SCRIPT_FILE_EXTENSIONS.includes(extname(file)) || !isInside(packagePath, file)) {
+    return null;
+  }
+  return resolve(file);
+}
+
+module.exports = {
+  collectSpecifiers,
+  resolveLocalSpecifier,
+};
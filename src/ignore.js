@@ -0,0 +1,96 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, dirname, join } = require('path');
+const fs = require('fs');
+const picomatch = require('picomatch');
+const semver = require('semver');
+
+const IGNORE_FILE = '.checkesignore';
+// a package name or the glob pattern of package names, optionally followed by
+// a version range, e.g., "lodash", "@babel/*" or "lodash@^3.0.0".
+const PACKAGE_ENTRY_PATTERN = /^((?:@[^/@]+\/)?[^/@]+)(?:@(.+))?$/;
+
+/**
+ * Parses an entry of the ignore list, which is either a package name or the
+ * glob pattern of package names, optionally followed by a version range, e.g.,
+ * `lodash`, `@babel/*` or `lodash@^3.0.0`, or the glob pattern of files, e.g.,
+ * `dist/legacy/**` or `node_modules/foo/dist/*.js`.
+ *
+ * @return
+ *     the parsed entry `{ entry, type, isMatch, range }`, where `type` is
+ *     'package' or 'file', and `range` is the version range of the package, or
+ *     `null` for any version.
+ * @throws Error
+ *     if the version range is invalid.
+ */
+function parseIgnoreEntry(entry) {
+  const match = PACKAGE_ENTRY_PATTERN.exec(entry);
+  if (!match) {
+    return { entry, type: 'file', isMatch: picomatch(entry, { dot: true }), range: null };
+  }
+  const range = (match[2] ? semver.validRange(match[2]) : null);
+  if (match[2] && !range) {
+    throw new Error(`Invalid version range of the ignored package: ${entry}`);
+  }
+  return { entry, type: 'package', isMatch: picomatch(match[1]), range };
+}
+
+/**
+ * Reads the entries of the `.checkesignore` file found in the directory or its
+ * ancestors. Each line of the file is an entry; the blank lines and the lines
+ * starting with `#` are skipped.
+ *
+ * @return
+ *     the array of the entries, which is empty if no file is found.
+ */
+function loadIgnoreFile(dir) {
+  let current = resolve(dir);
+  for (;;) {
+    const path = join(current, IGNORE_FILE);
+    if (fs.existsSync(path)) {
+      return fs.readFileSync(path, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'));
+    }
+    const parent = dirname(current);
+    if (parent === current) {
+      return [];
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Creates the matcher of the ignore list.
+ *
+ * @param entries
+ *     the entries of the ignore list, see `parseIgnoreEntry()`.
+ * @return
+ *     an object `{ isPackageIgnored(name, version), isFileIgnored(path) }`,
+ *     where `version` is `null` if unknown, which matches only the entries
+ *     without version ranges, and `path` is relative to the current directory
+ *     with the `/` separators.
+ */
+function createIgnoreMatcher(entries) {
+  const parsed = entries.map(parseIgnoreEntry);
+  const packages = parsed.filter((entry) => entry.type === 'package');
+  const files = parsed.filter((entry) => entry.type === 'file');
+  return {
+    isPackageIgnored: (name, version) => packages.some((entry) => entry.isMatch(name)
+      && (!entry.range || (version !== null && semver.satisfies(version, entry.range, { includePrerelease: true })))),
+    isFileIgnored: (path) => files.some((entry) => entry.isMatch(path)),
+  };
+}
+
+module.exports = {
+  IGNORE_FILE,
+  loadIgnoreFile,
+  createIgnoreMatcher,
+};
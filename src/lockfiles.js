@@ -0,0 +1,180 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, basename } = require('path');
+const fs = require('fs');
+
+const LOCKFILE_TYPES = {
+  'package-lock.json': 'npm',
+  'npm-shrinkwrap.json': 'npm',
+  'yarn.lock': 'yarn',
+  'pnpm-lock.yaml': 'pnpm',
+};
+
+// the key of a package in the lockfile version 5 of pnpm, e.g., "lodash/4.17.21"
+const PNPM_LEGACY_KEY_PATTERN = /^(@[^/]+\/[^/]+|[^/@]+)\/(\d[^/]*)$/;
+
+// Splits a package specifier or a locked package into the name and the rest,
+// e.g., "@babel/core@^7.0.0" into "@babel/core" and "^7.0.0".
+function splitSpecifier(specifier) {
+  const at = specifier.indexOf('@', 1);
+  return (at < 0 ? [specifier, ''] : [specifier.slice(0, at), specifier.slice(at + 1)]);
+}
+
+function unquote(text) {
+  return text.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Gets the locked packages of a `package-lock.json` or `npm-shrinkwrap.json`
+ * file, either of the `packages` map of the lockfile version 2 and 3, keyed by
+ * the install paths, or of the nested `dependencies` of the version 1. The
+ * workspace packages and the links are skipped.
+ */
+function parseNpmLockfile(text) {
+  const lockfile = JSON.parse(text);
+  const packages = [];
+  if (lockfile.packages) {
+    Object.keys(lockfile.packages).forEach((path) => {
+      const entry = lockfile.packages[path];
+      const index = path.lastIndexOf('node_modules/');
+      if (index >= 0 && !entry.link && entry.version) {
+        packages.push({ name: entry.name || path.slice(index + 'node_modules/'.length), version: entry.version, path });
+      }
+    });
+    return packages;
+  }
+  const walk = (dependencies, prefix) => {
+    Object.keys(dependencies || {}).forEach((name) => {
+      const entry = dependencies[name];
+      const path = `${prefix}node_modules/${name}`;
+      if (entry.version && !/^(file|link):/.test(entry.version)) {
+        packages.push({ name, version: entry.version, path });
+      }
+      walk(entry.dependencies, `${path}/`);
+    });
+  };
+  walk(lockfile.dependencies, '');
+  return packages;
+}
+
+/**
+ * Gets the locked packages of a `yarn.lock` file, either of Yarn 1 or of Yarn
+ * 2 and later, whose entries are both headed by the comma separated
+ * specifiers of a package at the first column, e.g.,
+ * `"lodash@^4.17.0", "lodash@^4.17.21":`, and have the `version` fields. The
+ * workspace packages and the links are skipped.
+ */
+function parseYarnLockfile(text) {
+  const packages = [];
+  let current = null;
+  const flush = () => {
+    if (current && current.version && !/@(workspace|link|portal):/.test(current.resolution || current.specifier)) {
+      packages.push({ name: splitSpecifier(current.specifier)[0], version: current.version, path: null });
+    }
+    current = null;
+  };
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.startsWith('#')) {
+      return;
+    }
+    if (/^\S/.test(line)) {
+      flush();
+      const specifier = unquote(line.replace(/:$/, '').split(',')[0]);
+      current = (specifier === '__metadata' ? null : { specifier });
+      return;
+    }
+    const match = /^ {2}(version|resolution):?\s+(.+)$/.exec(line);
+    if (current && match) {
+      current[match[1]] = unquote(match[2]);
+    }
+  });
+  flush();
+  return packages;
+}
+
+/**
+ * Gets the locked packages of a `pnpm-lock.yaml` file, i.e., the keys of its
+ * `packages` section, e.g., `/lodash/4.17.21` of the lockfile version 5,
+ * `/lodash@4.17.21` of the version 6, or `lodash@4.17.21` of the version 9,
+ * where the suffixes of the peer dependencies are ignored. The packages not
+ * from the registry, e.g., `file:` or `link:`, are skipped.
+ */
+function parsePnpmLockfile(text) {
+  const packages = [];
+  let inPackages = false;
+  text.split(/\r?\n/).forEach((line) => {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages:\s*$/.test(line);
+      return;
+    }
+    const match = /^ {2}(\S.*):\s*$/.exec(line);
+    if (!inPackages || !match) {
+      return;
+    }
+    // removes the peer dependencies, e.g., "(react@18.2.0)" or "_react@18.2.0"
+    const key = unquote(match[1]).replace(/^\//, '').replace(/\(.*$/, '');
+    // the lockfile version 5 separates the version by "/", e.g.,
+    // "@babel/core/7.0.0_react@18.2.0"
+    const legacy = PNPM_LEGACY_KEY_PATTERN.exec(key);
+    const [name, version] = (legacy ? [legacy[1], legacy[2].replace(/_.*$/, '')] : splitSpecifier(key));
+    if (name && version && !version.includes(':')) {
+      packages.push({ name, version, path: null });
+    }
+  });
+  return packages;
+}
+
+const PARSERS = {
+  npm: parseNpmLockfile,
+  yarn: parseYarnLockfile,
+  pnpm: parsePnpmLockfile,
+};
+
+/**
+ * Reads the packages locked by a lockfile of npm, Yarn or pnpm, whose type is
+ * determined by the name of the file.
+ *
+ * @return
+ *     an object `{ path, type, packages }`, where `type` is 'npm', 'yarn' or
+ *     'pnpm', and `packages` is the array of the distinct locked packages
+ *     `{ name, version, path }` sorted by the names and versions, where `path`
+ *     is the install path relative to the directory of the lockfile if it is
+ *     recorded in the lockfile, or `null` otherwise.
+ * @throws Error
+ *     if the lockfile cannot be read, or its type is not supported.
+ */
+function readLockfile(path) {
+  const type = LOCKFILE_TYPES[basename(path)];
+  if (!type) {
+    throw new Error(`Unsupported lockfile ${path}, which must be one of: ${Object.keys(LOCKFILE_TYPES).join(', ')}`);
+  }
+  let packages;
+  try {
+    packages = PARSERS[type](fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read the lockfile ${path}: ${error.message}`);
+  }
+  const locked = new Map();
+  packages.forEach((pkg) => {
+    const label = `${pkg.name}@${pkg.version}`;
+    if (!locked.has(label)) {
+      locked.set(label, pkg);
+    }
+  });
+  return {
+    path: resolve(path),
+    type,
+    packages: Array.from(locked.keys()).sort().map((label) => locked.get(label)),
+  };
+}
+
+module.exports = {
+  LOCKFILE_TYPES,
+  readLockfile,
+};
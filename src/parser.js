@@ -0,0 +1,199 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { dirname, resolve, extname } = require('path');
+const fs = require('fs');
+const acorn = require('acorn');
+
+const MODULE_FILE_EXTENSIONS = ['.mjs'];
+const SCRIPT_FILE_EXTENSIONS = ['.cjs'];
+const ESM_ES_VERSION = 2015;
+
+const packageTypeCache = new Map();
+
+/**
+ * Converts an ECMAScript version to its year form, e.g., 6 to 2015. ES3 and
+ * ES5 are kept as 3 and 5, so that the versions can be compared directly.
+ */
+function normalizeEsVersion(esVersion) {
+  if (esVersion >= 6 && esVersion < 2015) {
+    return esVersion + 2009;
+  }
+  return esVersion;
+}
+
+function findPackageType(dir) {
+  if (packageTypeCache.has(dir)) {
+    return packageTypeCache.get(dir);
+  }
+  let type;
+  const packageJsonPath = resolve(dir, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      type = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).type || 'commonjs';
+    } catch (error) {
+      type = 'commonjs';
+    }
+  } else {
+    const parent = dirname(dir);
+    type = (parent === dir ? 'commonjs' : findPackageType(parent));
+  }
+  packageTypeCache.set(dir, type);
+  return type;
+}
+
+/**
+ * Gets the source type of a script file, i.e., 'module' or 'script', in the
+ * same way as Node.js does: by its file extension, and then by the "type"
+ * field of the nearest package.json.
+ */
+function getSourceType(scriptPath) {
+  const ext = extname(scriptPath);
+  if (MODULE_FILE_EXTENSIONS.includes(ext)) {
+    return 'module';
+  }
+  if (SCRIPT_FILE_EXTENSIONS.includes(ext)) {
+    return 'script';
+  }
+  return (findPackageType(dirname(resolve(scriptPath))) === 'module' ? 'module' : 'script');
+}
+
+function isModuleDeclaration(node) {
+  return node.type === 'ImportDeclaration'
+    || node.type === 'ExportNamedDeclaration'
+    || node.type === 'ExportDefaultDeclaration'
+    || node.type === 'ExportAllDeclaration';
+}
+
+/**
+ * Tests whether a parsed file has the import/export declarations.
+ */
+function hasModuleSyntax(ast) {
+  return ast.body.some(isModuleDeclaration);
+}
+
+// Tests whether a script file not declared as an ES module actually uses the
+// ESM syntax, which is common for the files referred by the "module" field.
+function looksLikeModule(code) {
+  try {
+    acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script' });
+    return false;
+  } catch (error) {
+    try {
+      return hasModuleSyntax(acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module' }));
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+function blank(code, start, end, replacement = '') {
+  const padding = code.slice(start + replacement.length, end).replace(/[^\r\n]/g, ' ');
+  return code.slice(0, start) + replacement + padding + code.slice(end);
+}
+
+// Removes the import/export declarations from the code, keeping the positions
+// of all other tokens unchanged, so that the remaining code could be parsed as
+// a script and the parsing errors refer to the original positions.
+function stripModuleSyntax(code, ast) {
+  const declarations = ast.body.filter(isModuleDeclaration).reverse();
+  for (const node of declarations) {
+    switch (node.type) {
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          code = blank(code, node.start, node.declaration.start);
+        } else {
+          code = blank(code, node.start, node.end);
+        }
+        break;
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration')
+            && declaration.id) {
+          code = blank(code, node.start, declaration.start);
+        } else {
+          // the comma operator keeps any expression valid, e.g., an arrow
+          // function, which could not be an operand of a unary operator; the
+          // parentheses around the expression are kept, e.g., "export default(1)"
+          const keywordEnd = code.indexOf('default', node.start) + 'default'.length;
+          code = blank(code, node.start, keywordEnd, '0,');
+        }
+        break;
+      }
+      default:
+        code = blank(code, node.start, node.end);
+        break;
+    }
+  }
+  return code;
+}
+
+/**
+ * Parses the code of a script file with the specified ECMAScript version.
+ *
+ * ES modules are parsed with the sourceType "module". If the ECMAScript version
+ * is older than ES2015, which does not support the ESM syntax, the
+ * import/export declarations are removed before parsing and the result is
+ * marked as `esm`, so that they are reported separately instead of a
+ * misleading parsing error.
+ *
+ * Returns an object `{ sourceType, esm, ast }`, where the AST has the locations
+ * of nodes, or throws the parsing error of acorn if the code is not compatible
+ * with the ECMAScript version.
+ */
+function parseCode(code, scriptPath, esVersion) {
+  let sourceType = getSourceType(scriptPath);
+  if (sourceType === 'script') {
+    try {
+      const ast = acorn.parse(code, { ecmaVersion: esVersion, sourceType, locations: true });
+      return { sourceType, esm: false, ast };
+    } catch (error) {
+      if (!looksLikeModule(code)) {
+        throw error;
+      }
+      sourceType = 'module';
+    }
+  }
+  if (normalizeEsVersion(esVersion) >= ESM_ES_VERSION) {
+    const ast = acorn.parse(code, { ecmaVersion: esVersion, sourceType, locations: true });
+    return { sourceType, esm: false, ast };
+  }
+  const ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType, locations: true });
+  acorn.parse(stripModuleSyntax(code, ast), { ecmaVersion: esVersion, sourceType: 'script' });
+  return { sourceType, esm: hasModuleSyntax(ast), ast };
+}
+
+/**
+ * Parses the code of a script file with the latest ECMAScript version, which is
+ * used to analyze the files incompatible with the specified version.
+ *
+ * Returns the AST with the locations of nodes, or `null` if the code cannot be
+ * parsed at all.
+ */
+function parseLatest(code, scriptPath) {
+  const sourceType = getSourceType(scriptPath);
+  try {
+    return acorn.parse(code, { ecmaVersion: 'latest', sourceType, locations: true });
+  } catch (error) {
+    try {
+      const otherSourceType = (sourceType === 'module' ? 'script' : 'module');
+      return acorn.parse(code, { ecmaVersion: 'latest', sourceType: otherSourceType, locations: true });
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  ESM_ES_VERSION,
+  normalizeEsVersion,
+  getSourceType,
+  hasModuleSyntax,
+  parseCode,
+  parseLatest,
+};
@@ -0,0 +1,77 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { Worker } = require('worker_threads');
+
+/**
+ * Creates a pool of worker threads running a script, which receives each task
+ * as a message `{ id, task }` and replies with `{ id, result }`, or with
+ * `{ id, error }` if the task fails.
+ *
+ * @param script
+ *     the path of the script of the workers.
+ * @param size
+ *     the number of the workers.
+ * @param workerData
+ *     the data passed to each worker, see `worker_threads.workerData`.
+ * @return
+ *     an object `{ run, close }`, where `run(task)` returns a promise resolved
+ *     to the result of the task, and `close()` returns a promise resolved when
+ *     all workers are terminated.
+ */
+function createWorkerPool(script, size, workerData = null) {
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const running = new Map();
+  let nextId = 0;
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.shift();
+      const job = queue.shift();
+      running.set(worker, job);
+      worker.postMessage({ id: job.id, task: job.task });
+    }
+  };
+  const finish = (worker, settle) => {
+    const job = running.get(worker);
+    running.delete(worker);
+    if (job) {
+      settle(job);
+    }
+  };
+  for (let i = 0; i < size; ++i) {
+    const worker = new Worker(script, { workerData });
+    worker.on('message', ({ result, error }) => {
+      finish(worker, (job) => (error ? job.reject(new Error(error)) : job.resolve(result)));
+      idle.push(worker);
+      dispatch();
+    });
+    worker.on('error', (error) => {
+      // the worker is not reused after a crash
+      workers.splice(workers.indexOf(worker), 1);
+      finish(worker, (job) => job.reject(error));
+      if (workers.length === 0) {
+        queue.splice(0).forEach((job) => job.reject(error));
+      }
+    });
+    workers.push(worker);
+    idle.push(worker);
+  }
+  return {
+    run: (task) => new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, task, resolve, reject });
+      dispatch();
+    }),
+    close: () => Promise.all(workers.map((worker) => worker.terminate())),
+  };
+}
+
+module.exports = {
+  createWorkerPool,
+};
@@ -0,0 +1,244 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, relative, sep } = require('path');
+const fs = require('fs');
+const tool = require('../package.json');
+const { countViolationsByFeature } = require('./features');
+const { collectOriginPackages } = require('./sourcemaps');
+const { findStaleBaselineEntries, getDependencyPaths } = require('./checker');
+
+const REPORT_FORMATS = ['text', 'json'];
+const REPORT_SCHEMA_VERSION = 1;
+
+function toReportPath(basePath, path) {
+  if (!path) {
+    return null;
+  }
+  return relative(basePath, resolve(path)).split(sep).join('/') || '.';
+}
+
+function formatFeature(feature) {
+  return (feature ? { name: feature.name, esVersion: feature.version } : null);
+}
+
+function formatViolationCounts(failures) {
+  if (failures.length === 0 || !failures[0].violations) {
+    return null;
+  }
+  const violations = [].concat(...failures.map((failure) => failure.violations));
+  failures.forEach((failure) => {
+    (failure.apis || []).forEach(({ api, line, column }) => violations.push({ feature: api, line, column }));
+  });
+  return countViolationsByFeature(violations).map(({ feature, count }) => ({
+    ...formatFeature(feature),
+    count,
+  }));
+}
+
+function formatError(failure, basePath, type) {
+  const error = failure.error;
+  const violations = (failure.violations
+    ? failure.violations.map((violation) => ({
+      feature: formatFeature(violation.feature),
+      line: violation.line,
+      column: violation.column,
+    }))
+    : null);
+  const apis = (failure.apis
+    ? failure.apis.map(({ api, line, column }) => ({ name: api.name, esVersion: api.version, line, column }))
+    : null);
+  return {
+    file: (type === 'file' ? toReportPath(basePath, failure.file) : failure.file),
+    entry: failure.entry,
+    message: (error ? error.message : null),
+    line: (error && error.loc ? error.loc.line : null),
+    column: (error && error.loc ? error.loc.column : null),
+    feature: formatFeature(failure.feature),
+    violations,
+    apis,
+    origins: (failure.origins || null),
+    baselined: Boolean(failure.baselined),
+  };
+}
+
+function formatTargets(targets) {
+  return (targets ? { query: targets.query, browsers: targets.browsers } : null);
+}
+
+function formatOverride(override) {
+  if (!override) {
+    return null;
+  }
+  return {
+    esVersion: override.esVersion,
+    targets: formatTargets(override.targets),
+  };
+}
+
+// Gets the paths from the root package to an incompatible package, or `null`
+// for the other packages.
+function formatDependencyPaths(label, record, options) {
+  const found = (record.status === 'incompatible' ? getDependencyPaths(label, options) : null);
+  return (found ? found.paths : null);
+}
+
+function formatPackage(label, record, basePath, options) {
+  return {
+    name: record.name,
+    version: record.version,
+    path: toReportPath(basePath, record.path),
+    status: record.status,
+    entries: record.entries,
+    files: record.files,
+    requiredEsVersion: (record.requiredEsVersion === undefined ? null : record.requiredEsVersion),
+    errors: record.failures.map((failure) => formatError(failure, basePath, 'package')),
+    violationCounts: formatViolationCounts(record.failures),
+    override: formatOverride(record.override),
+    baselined: Boolean(record.baselined),
+    dependencyPaths: formatDependencyPaths(label, record, options),
+    missing: Boolean(record.missing),
+  };
+}
+
+function formatSuppressed(suppressed) {
+  return (suppressed || []).map(({ kind, name, version, line, column, type, commentLine, reason }) => ({
+    kind,
+    name,
+    esVersion: version,
+    line,
+    column,
+    type,
+    commentLine,
+    reason,
+  }));
+}
+
+function formatFile(record, basePath) {
+  return {
+    path: toReportPath(basePath, record.path),
+    status: record.status,
+    requiredEsVersion: (record.requiredEsVersion === undefined ? null : record.requiredEsVersion),
+    errors: record.failures.map((failure) => formatError(failure, basePath, 'file')),
+    violationCounts: formatViolationCounts(record.failures),
+    baselined: Boolean(record.baselined),
+    suppressed: formatSuppressed(record.suppressed),
+  };
+}
+
+function formatLockfile(lockfile, basePath) {
+  if (!lockfile) {
+    return null;
+  }
+  const { comparison } = lockfile;
+  return {
+    path: toReportPath(basePath, lockfile.path),
+    type: lockfile.type,
+    packages: lockfile.packages,
+    missing: lockfile.missing,
+    comparison: (comparison
+      ? {
+        path: toReportPath(basePath, comparison.path),
+        type: comparison.type,
+        added: comparison.added,
+        removed: comparison.removed,
+      }
+      : null),
+  };
+}
+
+// Counts the packages or files by the minimum ECMAScript versions they require.
+function formatRequiredEsVersions(records) {
+  const counts = new Map();
+  records.forEach((record) => {
+    if (record.status !== 'cannot-open' && record.status !== 'non-js') {
+      const version = record.requiredEsVersion;
+      counts.set(version, (counts.get(version) || 0) + 1);
+    }
+  });
+  return Array.from(counts.keys())
+    .sort((x, y) => (x === null ? 1 : (y === null ? -1 : x - y)))
+    .map((version) => ({ esVersion: version, count: counts.get(version) }));
+}
+
+// Gets the packages the violations in the bundles are originated from, or
+// `null` if no source map is found.
+function formatOriginPackages(results) {
+  const records = Array.from(results.values());
+  if (!records.some((record) => record.failures.some((failure) => failure.origins))) {
+    return null;
+  }
+  return collectOriginPackages(records);
+}
+
+/**
+ * Creates the JSON report of the results. The shape of the report is
+ * documented in the README and must be kept backward compatible; increase the
+ * `schemaVersion` for incompatible changes.
+ */
+function createReport(options, exitCode) {
+  const basePath = resolve(options.requireResolvePath);
+  const packages = [];
+  const files = [];
+  options.results.forEach((record, label) => {
+    if (record.type === 'package') {
+      packages.push(formatPackage(label, record, basePath, options));
+    } else {
+      files.push(formatFile(record, basePath));
+    }
+  });
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: tool.name, version: tool.version },
+    esVersion: options.esVersion,
+    targets: formatTargets(options.targets),
+    conditions: options.conditions,
+    failOn: options.failOn,
+    passed: (exitCode === 0),
+    exitCode,
+    summary: {
+      compatible: options.compatible.size,
+      incompatible: options.incompatible.size,
+      esm: options.esm.size,
+      nonJs: options.nonJs.size,
+      cannotOpen: options.canNotOpen.size,
+      ignored: options.ignored.size,
+      baselined: options.baselined.size,
+    },
+    requiredEsVersions: (options.detect ? formatRequiredEsVersions(options.results) : null),
+    ignored: Array.from(options.ignored),
+    baseline: (options.baseline
+      ? { path: toReportPath(basePath, options.baseline.path), stale: findStaleBaselineEntries(options) }
+      : null),
+    directories: (options.directories || null),
+    unreadableDirectories: (options.directories
+      ? options.unreadableDirectories.map((path) => toReportPath(basePath, path))
+      : null),
+    workspaces: (options.workspaces || null),
+    lockfile: formatLockfile(options.lockfile, basePath),
+    tarball: (options.tarball ? { ...options.tarball, path: toReportPath(basePath, options.tarball.path) } : null),
+    transpileDependencies: formatOriginPackages(options.results),
+    packages,
+    files,
+  };
+}
+
+function writeReport(report, output) {
+  const json = JSON.stringify(report, null, 2);
+  if (output) {
+    fs.writeFileSync(output, `${json}\n`, 'utf8');
+  } else {
+    console.info(json);
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  createReport,
+  writeReport,
+};
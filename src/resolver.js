@@ -0,0 +1,226 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, dirname, basename, join, sep } = require('path');
+const fs = require('fs');
+
+const PNP_FILES = ['.pnp.cjs', '.pnp.js'];
+
+// the Plug'n'Play APIs loaded, keyed by the paths of their files.
+const pnpApis = new Map();
+
+/**
+ * Finds the Yarn Plug'n'Play API of the project in the directory or its
+ * ancestors, i.e., the `.pnp.cjs` (or the `.pnp.js` of Yarn 2) file.
+ *
+ * The API is set up when it is loaded, which patches the `fs` module so that
+ * the files of the packages could be read from the zip archives of the Yarn
+ * cache as if they were extracted.
+ *
+ * @return
+ *     the Plug'n'Play API, or `null` if the project is not installed with
+ *     Plug'n'Play.
+ */
+function findPnpApi(dir) {
+  let current = resolve(dir);
+  for (;;) {
+    for (const name of PNP_FILES) {
+      const path = join(current, name);
+      if (fs.existsSync(path)) {
+        if (!pnpApis.has(path)) {
+          const api = require(path);
+          // the API is already set up if the program is run by `yarn`
+          if (!process.versions.pnp) {
+            api.setup();
+          }
+          pnpApis.set(path, api);
+        }
+        return pnpApis.get(path);
+      }
+    }
+    const parent = dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Finds the directory of a package depended on by the package in the
+// directory with the Plug'n'Play API, which fails if the dependency is not
+// declared or not installed.
+function findPnpPackagePath(packageName, fromDir, pnpApi) {
+  try {
+    const packagePath = pnpApi.resolveToUnqualified(packageName, `${resolve(fromDir)}${sep}`);
+    return (packagePath && fs.existsSync(join(packagePath, 'package.json')) ? resolve(packagePath) : null);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the real path of a file or directory, resolving the symbolic links, or
+ * the absolute path of it if it does not exist.
+ */
+function getRealPath(path) {
+  try {
+    return fs.realpathSync(path);
+  } catch (error) {
+    return resolve(path);
+  }
+}
+
+/**
+ * Tells whether a package is located in the store of pnpm, i.e.,
+ * `node_modules/.pnpm/<name>@<version>/node_modules/<name>`, where each
+ * version of a package is installed only once, except for the different sets
+ * of its peer dependencies.
+ */
+function isPnpmStorePath(packageName, path) {
+  const parts = resolve(path).split(sep);
+  const depth = packageName.split('/').length;
+  return (parts.slice(-depth).join('/') === packageName
+    && parts[parts.length - depth - 1] === 'node_modules'
+    && parts[parts.length - depth - 3] === '.pnpm'
+    && parts[parts.length - depth - 4] === 'node_modules');
+}
+
+/**
+ * Finds the directory of an installed package, by looking up the
+ * `node_modules` directories from the specified directory to the root, in the
+ * same way as Node.js does, or with the Plug'n'Play API if specified.
+ *
+ * Like Node.js, the symbolic links are resolved to the real paths, so that the
+ * dependencies of a package are looked up from where it really is, e.g., the
+ * dependencies of a package installed by pnpm are the symbolic links next to
+ * it in the store of pnpm, see `isPnpmStorePath()`.
+ *
+ * Returns the absolute real path of the package directory, or `null` if the
+ * package is not installed.
+ */
+function findPackagePath(packageName, fromDir, pnpApi = null) {
+  if (pnpApi) {
+    return findPnpPackagePath(packageName, fromDir, pnpApi);
+  }
+  let dir = resolve(fromDir);
+  for (;;) {
+    if (basename(dir) !== 'node_modules') {
+      const packagePath = resolve(dir, 'node_modules', packageName);
+      if (fs.existsSync(resolve(packagePath, 'package.json'))) {
+        return getRealPath(packagePath);
+      }
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Reads the name and version of the package in a directory, or returns `null`
+// if it is not a package.
+function readPackageId(dir) {
+  try {
+    const { name, version } = JSON.parse(fs.readFileSync(join(dir, 'package.json'), 'utf8'));
+    return (name && version ? `${name}@${version}` : null);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds all packages installed in the `node_modules` directory of a project
+ * and the nested `node_modules` directories, including the store of pnpm, or
+ * all packages of the Plug'n'Play API if specified.
+ *
+ * @return
+ *     the map from the name and version of each package, e.g.,
+ *     `lodash@4.17.21`, to the real path of its first copy found.
+ */
+function findInstalledPackages(rootPath, pnpApi = null) {
+  const installed = new Map();
+  if (pnpApi) {
+    pnpApi.getAllLocators().forEach((locator) => {
+      const { packageLocation } = pnpApi.getPackageInformation(locator);
+      const id = readPackageId(packageLocation);
+      if (id && !installed.has(id)) {
+        installed.set(id, resolve(packageLocation));
+      }
+    });
+    return installed;
+  }
+  const visited = new Set();
+  const readDir = (dir) => {
+    try {
+      return fs.readdirSync(dir).sort();
+    } catch (error) {
+      return [];
+    }
+  };
+  const scan = (modulesDir) => {
+    readDir(modulesDir).forEach((entry) => {
+      if (entry === '.pnpm') {
+        // the store of pnpm, i.e., ".pnpm/<name>@<version>/node_modules/<name>"
+        readDir(join(modulesDir, entry)).forEach((id) => scan(join(modulesDir, entry, id, 'node_modules')));
+      } else if (entry.startsWith('@')) {
+        readDir(join(modulesDir, entry)).forEach((name) => visit(join(modulesDir, entry, name)));
+      } else if (!entry.startsWith('.')) {
+        visit(join(modulesDir, entry));
+      }
+    });
+  };
+  const visit = (dir) => {
+    const path = getRealPath(dir);
+    if (visited.has(path)) {
+      return;
+    }
+    visited.add(path);
+    const id = readPackageId(path);
+    if (id && !installed.has(id)) {
+      installed.set(id, path);
+    }
+    scan(join(path, 'node_modules'));
+  };
+  scan(join(resolve(rootPath), 'node_modules'));
+  return installed;
+}
+
+/**
+ * Finds the directory of a package locked by a lockfile, i.e., its install
+ * path recorded in the lockfile, or the package of the same name and version
+ * installed in the project.
+ *
+ * @param pkg
+ *     the locked package `{ name, version, path }`, see `readLockfile()`.
+ * @param lockfileDir
+ *     the directory of the lockfile.
+ * @param installed
+ *     the installed packages returned by `findInstalledPackages()`.
+ * @return
+ *     the real path of the package directory, or `null` if the package is not
+ *     installed.
+ */
+function findLockedPackagePath(pkg, lockfileDir, installed) {
+  if (pkg.path) {
+    const path = resolve(lockfileDir, pkg.path);
+    if (readPackageId(path) === `${pkg.name}@${pkg.version}`) {
+      return getRealPath(path);
+    }
+  }
+  return installed.get(`${pkg.name}@${pkg.version}`) || null;
+}
+
+module.exports = {
+  findPnpApi,
+  getRealPath,
+  isPnpmStorePath,
+  findPackagePath,
+  findInstalledPackages,
+  findLockedPackagePath,
+};
@@ -0,0 +1,152 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, dirname } = require('path');
+const fs = require('fs');
+const { SourceMapConsumer } = require('source-map-js');
+
+const SOURCE_MAPPING_URL_PATTERN = /[#@]\s*sourceMappingURL=(\S+)\s*(?:\*\/)?\s*$/;
+const DATA_URL_PATTERN = /^data:application\/json(?:;charset=[^;,]+)?;base64,(.*)$/;
+const BUNDLER_URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/]*\//i;
+const PACKAGE_PATTERN = /(?:^|[\\/])node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/g;
+
+// Finds the URL of the source map from the last `sourceMappingURL` comment of
+// a bundle.
+function findSourceMappingUrl(code) {
+  const lines = code.split(/\r?\n/);
+  for (let i = lines.length - 1; i >= 0; --i) {
+    const line = lines[i].trim();
+    if (line === '') {
+      continue;
+    }
+    const match = SOURCE_MAPPING_URL_PATTERN.exec(line);
+    if (match && (line.startsWith('//') || line.startsWith('/*'))) {
+      return match[1];
+    }
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Loads the source map of a bundle, which is either specified by the
+ * `sourceMappingURL` comment at the end of the bundle, as an inline data URL
+ * or a path relative to the bundle, or the `.map` file next to the bundle.
+ *
+ * Returns the `SourceMapConsumer` of the source map, or `null` if there is no
+ * source map or it cannot be read.
+ */
+function loadSourceMap(scriptPath, code) {
+  const url = findSourceMappingUrl(code);
+  let json = null;
+  try {
+    const match = (url ? DATA_URL_PATTERN.exec(url) : null);
+    if (match) {
+      json = Buffer.from(match[1], 'base64').toString('utf8');
+    } else if (url && !BUNDLER_URL_PATTERN.test(url)) {
+      json = fs.readFileSync(resolve(dirname(scriptPath), decodeURIComponent(url.split(/[?#]/)[0])), 'utf8');
+    } else if (fs.existsSync(`${scriptPath}.map`)) {
+      json = fs.readFileSync(`${scriptPath}.map`, 'utf8');
+    }
+    return (json ? new SourceMapConsumer(JSON.parse(json)) : null);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the name of the package in `node_modules` containing a source file,
+ * e.g., `@babel/runtime` for `webpack:///./node_modules/@babel/runtime/x.js`,
+ * or `null` if the file does not belong to a package.
+ */
+function getPackageOfSource(source) {
+  let name = null;
+  let match;
+  PACKAGE_PATTERN.lastIndex = 0;
+  while ((match = PACKAGE_PATTERN.exec(source)) !== null) {
+    name = match[1].replace(/\\/g, '/');
+  }
+  return name;
+}
+
+// Removes the bundler specific prefix of a source, e.g., "webpack://app/".
+function normalizeSource(source) {
+  return source.replace(BUNDLER_URL_PATTERN, '').replace(/^\.\//, '');
+}
+
+/**
+ * Maps the positions of the violations in a bundle back to their original
+ * sources with the source map of the bundle.
+ *
+ * @param scriptPath
+ *     the path of the bundle.
+ * @param code
+ *     the code of the bundle.
+ * @param positions
+ *     the array of positions `{ line, column }` in the bundle.
+ * @return
+ *     the array of origins `{ line, column, source, originalLine,
+ *     originalColumn, package }`, in the same order as the positions, where
+ *     `package` is the name of the package the source belongs to, or `null`;
+ *     the positions which could not be mapped are skipped. Returns `null` if
+ *     the bundle has no source map.
+ */
+function findOrigins(scriptPath, code, positions) {
+  const consumer = loadSourceMap(scriptPath, code);
+  if (!consumer) {
+    return null;
+  }
+  const origins = [];
+  for (const { line, column } of positions) {
+    const original = consumer.originalPositionFor({ line, column });
+    if (original && original.source) {
+      origins.push({
+        line,
+        column,
+        source: normalizeSource(original.source),
+        originalLine: original.line,
+        originalColumn: original.column,
+        package: getPackageOfSource(original.source),
+      });
+    }
+  }
+  return origins;
+}
+
+/**
+ * Collects the packages the violations in the bundles are originated from,
+ * which should be added to the `transpileDependencies` of the bundler.
+ *
+ * @param records
+ *     the results of the checked files.
+ * @return
+ *     the array of `{ name, count }` sorted by the names, where `count` is the
+ *     number of violations originated from the package.
+ */
+function collectOriginPackages(records) {
+  const counts = new Map();
+  records.forEach((record) => {
+    record.failures.forEach((failure) => {
+      (failure.origins || []).forEach((origin) => {
+        if (origin.package) {
+          counts.set(origin.package, (counts.get(origin.package) || 0) + 1);
+        }
+      });
+    });
+  });
+  return Array.from(counts.keys())
+    .sort()
+    .map((name) => ({ name, count: counts.get(name) }));
+}
+
+module.exports = {
+  loadSourceMap,
+  getPackageOfSource,
+  findOrigins,
+  collectOriginPackages,
+};
@@ -0,0 +1,78 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const acorn = require('acorn');
+const { getSourceType } = require('./parser');
+
+const DIRECTIVE_PREFIX = 'check-es-version-disable';
+const DIRECTIVE_PATTERN = /^\s*check-es-version-(disable-next-line|disable)(?:\s+--\s*(.*?))?\s*$/;
+
+// Collects the comments of the code, or returns `null` if the code cannot be
+// parsed with the latest ECMAScript version.
+function collectComments(code, scriptPath) {
+  const sourceType = getSourceType(scriptPath);
+  for (const type of [sourceType, (sourceType === 'module' ? 'script' : 'module')]) {
+    const comments = [];
+    try {
+      acorn.parse(code, { ecmaVersion: 'latest', sourceType: type, locations: true, onComment: comments });
+      return comments;
+    } catch (error) {
+      // try the other source type
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the suppression comments of a file, i.e.,
+ * `/* check-es-version-disable-next-line *\/` suppressing the violations on
+ * the next line, and `/* check-es-version-disable *\/` suppressing all
+ * violations in the file, either of which could be followed by a reason after
+ * `--`, e.g., `// check-es-version-disable-next-line -- behind feature detection`.
+ *
+ * @return
+ *     the array of suppressions `{ type, line, reason }`, where `type` is
+ *     'next-line' or 'file', `line` is the line of the comment, and `reason`
+ *     is `null` if not specified; or `null` if the file has no suppression.
+ */
+function findSuppressions(code, scriptPath) {
+  if (!code.includes(DIRECTIVE_PREFIX)) {
+    return null;
+  }
+  const comments = collectComments(code, scriptPath) || [];
+  const suppressions = [];
+  comments.forEach((comment) => {
+    const match = DIRECTIVE_PATTERN.exec(comment.value.replace(/^\*+/, ''));
+    if (match) {
+      suppressions.push({
+        type: (match[1] === 'disable' ? 'file' : 'next-line'),
+        line: comment.loc.end.line,
+        reason: match[2] || null,
+      });
+    }
+  });
+  return (suppressions.length > 0 ? suppressions : null);
+}
+
+/**
+ * Gets the suppression applying to a violation on a line, preferring the
+ * suppression of the line to the one of the whole file.
+ *
+ * @return
+ *     the suppression, or `null` if the line is not suppressed.
+ */
+function findSuppression(suppressions, line) {
+  return suppressions.find((suppression) => suppression.type === 'next-line' && suppression.line + 1 === line)
+    || suppressions.find((suppression) => suppression.type === 'file')
+    || null;
+}
+
+module.exports = {
+  findSuppressions,
+  findSuppression,
+};
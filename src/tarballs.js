@@ -0,0 +1,142 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, join, dirname, isAbsolute } = require('path');
+const os = require('os');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+const TEMP_DIR_PREFIX = 'check-es-version-';
+
+// Reads a NUL terminated string field of a tar header.
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, (end < 0 ? length : end)).toString('utf8');
+}
+
+// Reads an octal number field of a tar header.
+function readOctal(header, offset, length) {
+  const value = readString(header, offset, length).trim();
+  return (value ? parseInt(value, 8) : 0);
+}
+
+// Parses the records of a PAX extended header, e.g., "30 path=package/a.js\n".
+function parsePaxHeader(data) {
+  const fields = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.subarray(offset, space).toString('utf8'), 10);
+    if (space < 0 || !(length > 0)) {
+      break;
+    }
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+    const equal = record.indexOf('=');
+    fields[record.slice(0, equal)] = record.slice(equal + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+/**
+ * Lists the regular files of a tar archive, supporting the ustar format
+ * written by `npm pack`, and the long names of the PAX and GNU extensions.
+ *
+ * @return
+ *     the array of `{ path, data }`, in the order of the archive.
+ * @throws Error
+ *     if the archive is truncated.
+ */
+function listTarEntries(archive) {
+  const entries = [];
+  let longPath = null;
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataOffset = offset + BLOCK_SIZE;
+    if (dataOffset + size > archive.length) {
+      throw new Error('unexpected end of the archive');
+    }
+    const data = archive.subarray(dataOffset, dataOffset + size);
+    offset = dataOffset + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    if (type === 'x') {
+      longPath = parsePaxHeader(data).path || longPath;
+    } else if (type === 'L') {
+      longPath = readString(data, 0, data.length);
+    } else {
+      const prefix = (readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '');
+      const name = readString(header, 0, 100);
+      const path = longPath || (prefix ? `${prefix}/${name}` : name);
+      longPath = null;
+      // the directories, links and other special files are skipped, as npm does
+      if (type === '0' || type === '7') {
+        entries.push({ path, data });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Unpacks an npm package tarball, i.e., the gzipped tar archive written by
+ * `npm pack` or published to the registry, into a temporary directory. The
+ * top level directory of the archive, which is `package` for the tarballs
+ * written by npm, is stripped, as npm does when installing the tarball.
+ *
+ * @param path
+ *     the path of the tarball.
+ * @return
+ *     an object `{ path, dir, files }`, where `path` is the absolute path of
+ *     the tarball, `dir` is the temporary directory of the unpacked package,
+ *     which should be removed with `removeTarball()`, and `files` is the
+ *     sorted array of the paths of the packed files relative to the package.
+ * @throws Error
+ *     if the tarball cannot be read or unpacked.
+ */
+function unpackTarball(path) {
+  let entries;
+  try {
+    entries = listTarEntries(zlib.gunzipSync(fs.readFileSync(path)));
+  } catch (error) {
+    throw new Error(`Cannot read the tarball ${path}: ${error.message}`);
+  }
+  const dir = fs.mkdtempSync(join(os.tmpdir(), TEMP_DIR_PREFIX));
+  const files = [];
+  try {
+    entries.forEach((entry) => {
+      const file = entry.path.replace(/\\/g, '/').split('/').slice(1).join('/');
+      // never writes outside of the temporary directory
+      if (!file || isAbsolute(file) || file.split('/').includes('..')) {
+        return;
+      }
+      fs.mkdirSync(dirname(join(dir, file)), { recursive: true });
+      fs.writeFileSync(join(dir, file), entry.data);
+      files.push(file);
+    });
+  } catch (error) {
+    removeTarball(dir);
+    throw new Error(`Cannot unpack the tarball ${path}: ${error.message}`);
+  }
+  return { path: resolve(path), dir, files: Array.from(new Set(files)).sort() };
+}
+
+function removeTarball(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  unpackTarball,
+  removeTarball,
+};
@@ -0,0 +1,168 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const browserslist = require('browserslist');
+const { FEATURES, ES_VERSIONS, findViolatingFeatures } = require('./features');
+const { FEATURE_SUPPORT, API_SUPPORT, ES_VERSION_SUPPORT, ENGINES } = require('./data/support');
+
+const FEATURE_SUPPORT_BY_NAME = new Map(Object.keys(FEATURES)
+  .map((key) => [FEATURES[key].name, FEATURE_SUPPORT[key]]));
+
+function compareVersions(x, y) {
+  const xs = x.split('.').map(Number);
+  const ys = y.split('.').map(Number);
+  for (let i = 0; i < Math.max(xs.length, ys.length); ++i) {
+    const diff = (xs[i] || 0) - (ys[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+// Gets the engine of a browser reported by browserslist, e.g., "ios_saf 12.0-12.1".
+// The engine is `null` if the browser is not in the compatibility table, which
+// is assumed to support ES5 only.
+function toTarget(browser) {
+  const [name, versions] = browser.split(' ');
+  const version = versions.split('-')[0];
+  const mapping = ENGINES[name];
+  let engine = null;
+  if (typeof mapping === 'function') {
+    engine = mapping(version);
+  } else if (mapping) {
+    engine = [mapping, version];
+  } else if (Object.prototype.hasOwnProperty.call(ES_VERSION_SUPPORT[5], name)) {
+    engine = [name, version];
+  }
+  return {
+    name: browser,
+    engine: (engine ? engine[0] : null),
+    version: (engine ? engine[1] : null),
+  };
+}
+
+/**
+ * Resolves the target environments from a browserslist query, e.g.,
+ * "safari 10, chrome 49", or from the browserslist config of the project,
+ * i.e., the `.browserslistrc` file or the "browserslist" field of the
+ * `package.json`, if the query is `null`.
+ *
+ * @param query
+ *     the browserslist query, or `null` to load the config of the project.
+ * @param path
+ *     the directory of the project.
+ * @return
+ *     an object `{ query, browsers, engines, supportsModules }`, where
+ *     `browsers` is the array of browsers reported by browserslist, e.g.,
+ *     `['chrome 49', 'safari 10']`, and `supportsModules` tells whether all
+ *     targets support the ESM syntax.
+ * @throws Error
+ *     if the query is invalid, or the config of the project cannot be found.
+ */
+function resolveTargets(query, path) {
+  if (query === null) {
+    const config = browserslist.loadConfig({ path });
+    if (!config) {
+      throw new Error(`Cannot find the browserslist config of the project in ${path}.`);
+    }
+    query = [].concat(config).join(', ');
+  }
+  const browsers = browserslist(query, { path });
+  if (browsers.length === 0) {
+    throw new Error(`No target environments are selected by the query: ${query}`);
+  }
+  const targets = { query, browsers, engines: browsers.map(toTarget) };
+  targets.supportsModules = (findLackingTargets(FEATURES.MODULES, targets).length === 0);
+  return targets;
+}
+
+function isSupported(support, version, target) {
+  if (!target.engine) {
+    return version <= 5;
+  }
+  const minVersion = (support ? support[target.engine] : undefined);
+  return (minVersion !== undefined && compareVersions(target.version, minVersion) >= 0);
+}
+
+/**
+ * Gets the target environments not supporting a language feature.
+ *
+ * @param feature
+ *     the feature `{ name, version }`.
+ * @param targets
+ *     the targets returned by `resolveTargets()`.
+ * @return
+ *     the array of names of the browsers not supporting the feature.
+ */
+function findLackingTargets(feature, targets) {
+  const support = FEATURE_SUPPORT_BY_NAME.get(feature.name) || ES_VERSION_SUPPORT[feature.version];
+  return targets.engines
+    .filter((target) => !isSupported(support, feature.version, target))
+    .map((target) => target.name);
+}
+
+// Gets the target environments not supporting a runtime API. The methods
+// reported together, e.g., "Array.prototype.at / String.prototype.at", are not
+// supported if any of them is not supported.
+function findApiLackingTargets(api, targets) {
+  const names = api.name.split(' / ');
+  return targets.engines
+    .filter((target) => names.some((name) => !isSupported(API_SUPPORT[name] || ES_VERSION_SUPPORT[api.version],
+      api.version, target)))
+    .map((target) => target.name);
+}
+
+/**
+ * Gets the newest ECMAScript version, all language features of which are
+ * supported by the target environments. The files are parsed with this
+ * version, and the features of the newer versions are checked one by one.
+ * The ESM syntax is not taken into account, see `supportsModules`.
+ */
+function getTargetEsVersion(targets) {
+  let result = ES_VERSIONS[0];
+  for (const version of ES_VERSIONS) {
+    const features = Object.values(FEATURES)
+      .filter((feature) => feature.version === version && feature !== FEATURES.MODULES);
+    if (features.some((feature) => findLackingTargets(feature, targets).length > 0)) {
+      break;
+    }
+    result = version;
+  }
+  return result;
+}
+
+/**
+ * Finds the usages of the language features newer than the ECMAScript version
+ * and not supported by the target environments.
+ *
+ * @return
+ *     the array of usages `{ feature, node, lacking }`, where `lacking` is the
+ *     array of names of the browsers not supporting the feature.
+ */
+function findUnsupportedFeatures(ast, esVersion, targets) {
+  return findViolatingFeatures(ast, esVersion)
+    .map((usage) => ({ ...usage, lacking: findLackingTargets(usage.feature, targets) }))
+    .filter((usage) => usage.lacking.length > 0);
+}
+
+/**
+ * Filters the usages of runtime APIs returned by `findApiUsages()`, keeping
+ * only the APIs not supported by the target environments.
+ */
+function filterApiUsages(usages, targets) {
+  return usages.filter((usage) => findApiLackingTargets(usage.api, targets).length > 0);
+}
+
+module.exports = {
+  resolveTargets,
+  getTargetEsVersion,
+  findLackingTargets,
+  findUnsupportedFeatures,
+  filterApiUsages,
+};
@@ -0,0 +1,34 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+//
+// The script of the worker threads checking the files in parallel, see
+// `prefetchFiles()` of the checker.
+//
+const { parentPort, workerData } = require('worker_threads');
+const { checkFile } = require('./checker');
+const { findPnpApi } = require('./resolver');
+
+// the `fs` module of each thread is patched separately to read the files of
+// the packages installed with Plug'n'Play
+findPnpApi(workerData.requireResolvePath);
+
+parentPort.on('message', ({ id, task }) => {
+  try {
+    const result = checkFile(task.file, task.options);
+    // the errors of acorn are sent with the fields used by the check, since
+    // the other fields of an error are lost when it is posted.
+    const { error } = result;
+    parentPort.postMessage({
+      id,
+      result: (error ? { ...result, error: { message: error.message, pos: error.pos, loc: error.loc } } : result),
+    });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,137 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2023.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+const { resolve, relative, dirname, basename, join } = require('path');
+const fs = require('fs');
+const picomatch = require('picomatch');
+const { toPosixPath, findFiles } = require('./files');
+
+const PNPM_WORKSPACE_FILE = 'pnpm-workspace.yaml';
+
+/**
+ * Parses the `packages` list of the `pnpm-workspace.yaml` file, e.g.,
+ *
+ * ```yaml
+ * packages:
+ *   - 'packages/*'
+ *   - '!**\/test/**'
+ * ```
+ *
+ * Only the block sequence of strings used by pnpm is supported, so that no
+ * YAML parser is required.
+ */
+function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+  text.split(/\r?\n/).forEach((line) => {
+    const content = line.replace(/\s+#.*$/, '').replace(/^#.*$/, '');
+    if (!content.trim()) {
+      return;
+    }
+    if (/^\S/.test(content)) {
+      inPackages = /^packages\s*:\s*$/.test(content);
+      return;
+    }
+    const match = /^\s*-\s*(.+?)\s*$/.exec(content);
+    if (inPackages && match) {
+      patterns.push(match[1].replace(/^(['"])(.*)\1$/, '$2'));
+    }
+  });
+  return patterns;
+}
+
+/**
+ * Gets the glob patterns of the workspace packages of a project, from the
+ * `workspaces` field of its `package.json` used by Yarn and npm, which is
+ * either an array of patterns or an object with the `packages` array, and
+ * from the `pnpm-workspace.yaml` file used by pnpm.
+ */
+function getWorkspacePatterns(rootPath) {
+  let patterns = [];
+  const packageFile = resolve(rootPath, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    let workspaces;
+    try {
+      ({ workspaces } = JSON.parse(fs.readFileSync(packageFile, 'utf8')));
+    } catch (error) {
+      throw new Error(`Cannot read the package.json of the project in ${rootPath}: ${error.message}`);
+    }
+    if (Array.isArray(workspaces)) {
+      patterns = patterns.concat(workspaces);
+    } else if (workspaces && Array.isArray(workspaces.packages)) {
+      patterns = patterns.concat(workspaces.packages);
+    }
+  }
+  const pnpmFile = resolve(rootPath, PNPM_WORKSPACE_FILE);
+  if (fs.existsSync(pnpmFile)) {
+    patterns = patterns.concat(parsePnpmWorkspace(fs.readFileSync(pnpmFile, 'utf8')));
+  }
+  // normalizes the patterns of the directories, e.g., "./packages/*/"
+  return patterns
+    .filter((pattern) => typeof pattern === 'string')
+    .map((pattern) => {
+      const negated = pattern.startsWith('!');
+      const path = (negated ? pattern.slice(1) : pattern).replace(/^\.\//, '').replace(/\/+$/, '');
+      return { negated, path };
+    })
+    .filter(({ path }) => path && path !== '.');
+}
+
+/**
+ * Finds the workspace packages of a project.
+ *
+ * @param rootPath
+ *     the root directory of the project.
+ * @return
+ *     the array of `{ name, path }` sorted by the paths, where `name` is the
+ *     name of the package, or its path relative to the root directory if it
+ *     has no name or its `package.json` cannot be read, and `path` is the
+ *     absolute path of the package directory. It is empty if the project has
+ *     no workspaces.
+ * @throws Error
+ *     if the `package.json` of the project cannot be read.
+ */
+function findWorkspaces(rootPath) {
+  const root = resolve(rootPath);
+  const patterns = getWorkspacePatterns(root);
+  const includes = patterns.filter((pattern) => !pattern.negated).map((pattern) => pattern.path);
+  const excludes = patterns.filter((pattern) => pattern.negated).map((pattern) => pattern.path);
+  const isExcluded = (excludes.length > 0 ? picomatch(excludes, { dot: true }) : () => false);
+  const directories = new Set();
+  includes.forEach((pattern) => {
+    // scans only the directory before the first glob of the pattern
+    const base = picomatch.scan(pattern).base;
+    const isMatch = picomatch(pattern, { dot: true });
+    const baseDir = join(root, base);
+    if (!fs.existsSync(baseDir)) {
+      return;
+    }
+    const { files } = findFiles(baseDir, (path) => basename(path) === 'package.json'
+      && isMatch(toPosixPath(join(base, dirname(path)))));
+    files.forEach((file) => {
+      const dir = toPosixPath(join(base, dirname(relative(baseDir, file))));
+      if (dir !== '.' && !isExcluded(dir)) {
+        directories.add(dir);
+      }
+    });
+  });
+  return Array.from(directories).sort().map((dir) => {
+    const path = resolve(root, dir);
+    try {
+      const { name } = JSON.parse(fs.readFileSync(join(path, 'package.json'), 'utf8'));
+      return { name: name || dir, path };
+    } catch (error) {
+      // the package is reported as a package which cannot be opened
+      return { name: dir, path };
+    }
+  });
+}
+
+module.exports = {
+  findWorkspaces,
+};